@@ -1,4 +1,4 @@
-import { updateSudo as update, querySudo as query } from '@lblod/mu-auth-sudo';
+import { query } from './lib/sparql';
 import bodyParser from 'body-parser';
 import flatten from 'lodash.flatten';
 import { app, errorHandler, sparqlEscapeUri } from 'mu';
@@ -6,20 +6,70 @@ import {
   FILE_DOWNLOAD_FAILURE, FILE_DOWNLOAD_SUCCESS, PREFIXES,
   STATUS_BUSY,
   STATUS_FAILED,
-  STATUS_READY_TO_BE_CACHED,
   STATUS_SCHEDULED,
   TASK_COLLECTING,
   TASK_TYPE
 } from './constants';
 import { Delta } from './lib/delta';
-import { ensureFilesAreReadyForHarvesting, handleDownloadFailure, harvestRemoteDataObject, isRelevantRemoteDataObject } from './lib/harvest';
+import {
+  checkHarvestingCollectionCompletion,
+  ensureFilesAreReadyForHarvesting,
+  getPendingRemoteDataObjects,
+  handleDownloadFailure,
+  harvestRemoteDataObject,
+  isRelevantRemoteDataObject
+} from './lib/harvest';
 import { ProcessingQueue } from './lib/processing-queue';
-import { appendTaskError, loadTask, updateTaskStatus, getScheduledTasks } from './lib/task';
+import { appendTaskError, loadTask, updateTaskStatus, recordTaskStart, getScheduledTasks } from './lib/task';
 import { CronJob } from 'cron';
-import { CRON_FREQUENCY, ALLOW_CRON_JOB } from './config'
-import { getRemoteDataObjectAndCollectionFromTask, attachClonedAuthenticationConfiguraton, hasAuth } from './lib/credential-helpers';
-
-const queue = new ProcessingQueue('Main Queue');
+import {
+  CRON_FREQUENCY,
+  ALLOW_CRON_JOB,
+  QUEUE_JOURNAL_DIRECTORY,
+  RECONCILIATION_FREQUENCY,
+  COMPLETION_SAFETY_NET_TIMEOUT,
+  SCHEDULING_BATCH_SIZE,
+  SCHEDULING_MAX_OUTSTANDING,
+  SCHEDULING_BACKPRESSURE_DELAY
+} from './config'
+import { attachClonedAuthenticationConfiguratons, hasAuth } from './lib/credential-helpers';
+import { getCollectionById, getDiscoveryTree } from './lib/discovery';
+import { getStuckCollectingTasks, reconcileCollectingTasks } from './lib/reconciliation';
+import { registerDownloadFailures, resetDownloadAttempts, retryDownload } from './lib/download-retries';
+import { findCollectingTask, getProgress } from './lib/progress';
+import { cancelCollectingTask, cancelPendingDownloads } from './lib/cancellation';
+import { startDownloadScheduler } from './lib/download-scheduler';
+import {
+  markSeeds,
+  resetRemoteDataObjectStatuses,
+  getRemoteDataObjectsBatch,
+  queueRemoteDataObjects,
+  countOutstandingRemoteDataObjects,
+  startSchedulingRun,
+  getSchedulingRun
+} from './lib/task-scheduling';
+import { register, deltasReceived, deltasFiltered } from './lib/metrics';
+
+const queue = new ProcessingQueue('Main Queue', QUEUE_JOURNAL_DIRECTORY);
+queue.registerJobType('delta', processDelta);
+queue.registerJobType('download-failure', onFailure);
+queue.registerJobType('check-collection-completion', checkHarvestingCollectionCompletion);
+queue.registerJobType('retry-download', retryDownload);
+queue.registerJobType('process-scheduled-tasks', processScheduledTasks);
+queue.registerJobType('collect-task', collectTask);
+queue.registerJobType('harvest-remote-data-objects', harvestRemoteFiles);
+queue.registerJobType('cancel-pending-downloads', cancelPendingDownloads);
+queue.registerJobType('schedule-remote-data-objects', continueSchedulingRemoteDataObjects);
+// Replay the jobs that were still pending when the service stopped
+queue.restore();
+
+// Release queued downloads to the download service, respecting the limits per host and robots.txt
+startDownloadScheduler(async (collections) => {
+  // Skipped downloads reached their final status, their collections may be done
+  for (let collection of collections) {
+    await queue.addPersistentJob('check-collection-completion', collection);
+  }
+});
 
 app.use(bodyParser.json({ type: function (req) { return /^application\/json/.test(req.get('content-type')); } }));
 
@@ -40,13 +90,26 @@ new CronJob(CRON_FREQUENCY, function() {
   }
 }, null, true);
 
+/**
+ * Finish collecting tasks that got stuck in busy although all their files have been processed,
+ * e.g. after an outage. Runs on startup and periodically.
+*/
+new CronJob(RECONCILIATION_FREQUENCY, function() {
+  console.log(`Reconciliation of collecting tasks triggered at ${new Date().toISOString()}`);
+  queue.addJob(async () => reconcileCollectingTasks());
+}, null, true, null, null, true);
+
 // ---------- API ----------
 
-app.post("/on-download-failure", (req, res, next) => {
-  queue.addJob(async () => onFailure(req.body), async (error) => {
-    console.error(`Something went wrong.`, error);
-  });
-  return res.status(200).send();
+app.post("/on-download-failure", async (req, res, next) => {
+  try {
+    deltasReceived.inc({ endpoint: 'on-download-failure' });
+    await queue.addPersistentJob('download-failure', req.body);
+    return res.status(200).send();
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
 });
 
 /**
@@ -54,22 +117,166 @@ app.post("/on-download-failure", (req, res, next) => {
  * The harvesting may generate new remote data to be download and harvested.
  * All related files are collected in a harvest collection.
 */
-app.post('/delta', async function (req, res) {
-  queue.addJob(async () => processDelta(req.body), async (error) => {
-    console.error(`Something went wrong.`, error);
-  });
-  return res.status(202).end();
+app.post('/delta', async function (req, res, next) {
+  try {
+    deltasReceived.inc({ endpoint: 'delta' });
+    await queue.addPersistentJob('delta', req.body);
+    return res.status(202).end();
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
+});
+
+/**
+ * Triggers a harvest round on demand: starts the scheduled collecting tasks,
+ * harvests downloaded files that haven't been harvested yet and finishes the
+ * collections of which all files have been processed.
+ * Responds with the tasks, files and collections that have been queued.
+*/
+app.post('/harvest', async function (req, res, next) {
+  try {
+    // Like the cron job, only one scheduled task is started per round to space them out
+    const scheduledTasks = (await getScheduledTasks()) || [];
+    const scheduledTask = scheduledTasks.length ? scheduledTasks[0] : null;
+    if (scheduledTask)
+      await queue.addPersistentJob('process-scheduled-tasks', null);
+
+    const remoteDataObjects = await getPendingRemoteDataObjects();
+    if (remoteDataObjects.length)
+      await queue.addPersistentJob('harvest-remote-data-objects', remoteDataObjects);
+
+    const collections = (await getStuckCollectingTasks()).map(({ collection }) => collection);
+    for (let collection of collections) {
+      await queue.addPersistentJob('check-collection-completion', collection);
+    }
+
+    console.log(`Harvest round triggered: ${scheduledTask ? `task ${scheduledTask}` : 'no task'} to collect, ${remoteDataObjects.length} file(s) to harvest and ${collections.length} collection(s) to finish`);
+    return res.status(202).send({ scheduledTask, remoteDataObjects, collections });
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
+});
+
+/**
+ * (Re)starts collecting a single task. The id is the mu:uuid of the task,
+ * or the URI of the task or of its harvesting collection.
+*/
+app.post('/tasks/:id/collect', async function (req, res, next) {
+  try {
+    const collectingTask = await findCollectingTask(req.params.id);
+    if (!collectingTask) {
+      return res.status(404).send({ errors: [{ title: `Collecting task ${req.params.id} not found` }] });
+    }
+    const loadedTask = await loadTask(collectingTask.task);
+    if (loadedTask && loadedTask.status == STATUS_BUSY) {
+      return res.status(409).send({ errors: [{ title: `Collecting task ${req.params.id} is already busy` }] });
+    }
+    await queue.addPersistentJob('collect-task', { task: collectingTask.task });
+    return res.status(202).send(collectingTask);
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
+});
+
+/**
+ * Cancels a scheduled or busy collecting task. The id is the mu:uuid of the task,
+ * or the URI of the task or of its harvesting collection.
+ * Remote data objects that are still waiting to be downloaded are withdrawn and
+ * deltas about the remote data objects of the task are ignored from now on.
+*/
+app.post('/tasks/:id/cancel', async function (req, res, next) {
+  try {
+    const collectingTask = await findCollectingTask(req.params.id);
+    if (!collectingTask) {
+      return res.status(404).send({ errors: [{ title: `Collecting task ${req.params.id} not found` }] });
+    }
+    const { task, collection } = collectingTask;
+    const loadedTask = await loadTask(task);
+    if (!loadedTask || ![STATUS_SCHEDULED, STATUS_BUSY].includes(loadedTask.status)) {
+      return res.status(409).send({ errors: [{ title: `Collecting task ${req.params.id} has already finished` }] });
+    }
+
+    await cancelCollectingTask(task, collection);
+    // Files that are being harvested right now may still trigger new downloads, withdraw these as well
+    await queue.addPersistentJob('cancel-pending-downloads', collection);
+    return res.status(200).send(collectingTask);
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
+});
+
+/**
+ * Returns the discovery tree of a harvesting collection, i.e. which remote data object
+ * has been discovered in which file and via which predicate.
+*/
+app.get('/collections/:id/discovery-tree', async function (req, res, next) {
+  try {
+    const collection = await getCollectionById(req.params.id);
+    if (!collection)
+      return res.status(404).send({ errors: [{ title: `Harvesting collection ${req.params.id} not found` }] });
+
+    const tree = await getDiscoveryTree(collection);
+    return res.status(200).send({ collection, tree });
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
+});
+
+/**
+ * Returns the progress of a collecting task. The id is the mu:uuid of the task,
+ * or the (URL-encoded) URI of the task or of its harvesting collection.
+*/
+app.get('/tasks/:id/progress', async function (req, res, next) {
+  try {
+    const collectingTask = await findCollectingTask(req.params.id);
+    if (!collectingTask)
+      return res.status(404).send({ errors: [{ title: `Collecting task ${req.params.id} not found` }] });
+
+    const progress = await getProgress(collectingTask.task, collectingTask.collection);
+    return res.status(200).send(progress);
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
+});
+
+/**
+ * Exposes the metrics of the service in the Prometheus text format.
+*/
+app.get('/metrics', async function (req, res, next) {
+  try {
+    res.set('Content-Type', register.contentType);
+    return res.status(200).send(await register.metrics());
+  } catch (e) {
+    console.error(e);
+    return next(e);
+  }
 });
 
 // ---------- LOGIC ----------
 
 async function onFailure(data) {
-  const remoteDatasMaxFailure = await getRemoteFileUris(data, FILE_DOWNLOAD_FAILURE);
-  if (!remoteDatasMaxFailure.length) {
-  } else {
-    queue.addJob(async () => handleDownloadFailure(remoteDatasMaxFailure), async (error) => {
-      console.error(`Something went wrong.`, error);
-    });
+  const failedRemoteDatas = await getRemoteFileUris(data, FILE_DOWNLOAD_FAILURE);
+  if (!failedRemoteDatas.length)
+    deltasFiltered.inc({ endpoint: 'on-download-failure' });
+  const { retries, exhausted: remoteDatasMaxFailure } = await registerDownloadFailures(failedRemoteDatas);
+  for (let { remoteDataObject, delay } of retries) {
+    await queue.addPersistentJob('retry-download', remoteDataObject, { delay });
+  }
+
+  // Only downloads without retries left are considered failed
+  if (remoteDatasMaxFailure.length) {
+    const ongoingCollections = await handleDownloadFailure(remoteDatasMaxFailure);
+    // Completion is checked whenever a file of the collection reaches a final status.
+    // As a safety net, ongoing collections are checked once more after a while.
+    for (let collection of ongoingCollections) {
+      await queue.addPersistentJob('check-collection-completion', collection, { delay: COMPLETION_SAFETY_NET_TIMEOUT });
+    }
   }
 }
 
@@ -81,9 +288,15 @@ async function processDelta(data) {
   //Handle the follow up tasks, i.e. make sure to stop once all URLs downloaded.
   const remoteFiles = await getRemoteFileUris(data, FILE_DOWNLOAD_SUCCESS);
   if (!remoteFiles.length) {
+    if (!entries.length)
+      deltasFiltered.inc({ endpoint: 'delta' });
     console.log("Delta does not contain a new remote data object with status 'success'. Nothing should happen.");
     return;
   }
+  await harvestRemoteFiles(remoteFiles);
+}
+
+async function harvestRemoteFiles(remoteFiles) {
   console.log(`Start harvesting new files ${remoteFiles}`);
   const remoteDataObjects = await ensureFilesAreReadyForHarvesting(remoteFiles);
 
@@ -94,6 +307,10 @@ async function processDelta(data) {
   console.log(`We're done! Let's wait for the next harvesting round...`);
 }
 
+async function collectTask({ task }) {
+  await startCollectingTasks([task]);
+}
+
 async function processScheduledTasks() {
   // Handle scheduled tasks
   const scheduledTasks = await getScheduledTasks();
@@ -143,6 +360,7 @@ async function startCollectingTasks(entries) {
     try {
       if (isCollectingTask(task)) {
         await updateTaskStatus(task, STATUS_BUSY);
+        await recordTaskStart(task);
         await scheduleRemoteDataObjectsForDownload(task);
       }
     }
@@ -162,84 +380,82 @@ function isCollectingTask(task) {
 }
 
 async function scheduleRemoteDataObjectsForDownload(task) {
+  const collectingTask = await findCollectingTask(task.task);
+  if (!collectingTask)
+    throw new Error(`No harvesting collection found for task ${task.task}`);
+  const { collection } = collectingTask;
   const count = await countRemoteDataObjects(task);
   console.log(`Schedueling ${count} remote data objects for task ${task.task}`);
 
-  const deleteStatusQuery = `
-    ${PREFIXES}
-    DELETE {
-      GRAPH ?g {
-        ?remoteDataObject adms:status ?status.
-      }
-    }
-    WHERE {
-      SELECT ?g ?remoteDataObject ?status
-      WHERE {
-        GRAPH ?g {
-          ?remoteDataObject adms:status ?status.
-        }
-        BIND(${sparqlEscapeUri(task.task)} as ?task)
-        ?task a ${sparqlEscapeUri(TASK_TYPE)};
-          task:inputContainer ?container.
-        ?container task:hasHarvestingCollection ?collection.
-        ?collection a hrvst:HarvestingCollection.
-        ?collection dct:hasPart ?remoteDataObject.
-        ?remoteDataObject a nfo:RemoteDataObject.
-      }
-    }
-  `;
-
-  await update(deleteStatusQuery);
-  console.log(`Deleted ${count} remote file statuses`);
-
-  // Inserting statuses one by one to keep deltas flowing smoothly to the download-url service
-  // It's the same as in prepareNewDownloads (./lib/harvest.js)
-  const insertBatchSize = 1;
-  let offset = 0;
-  while (offset < count) {
-    const insertStatusQuery = `
-      ${PREFIXES}
-
-      INSERT {
-        GRAPH ?g {
-          ?remoteDataObject adms:status ${sparqlEscapeUri(STATUS_READY_TO_BE_CACHED)}.
-        }
-      }
-      WHERE {
-        SELECT ?g ?remoteDataObject
-        WHERE {
-          BIND(${sparqlEscapeUri(task.task)} as ?task)
-
-          ?task a ${sparqlEscapeUri(TASK_TYPE)};
-            task:inputContainer ?container.
-
-          ?container task:hasHarvestingCollection ?collection.
-          ?collection a hrvst:HarvestingCollection.
-          ?collection dct:hasPart ?remoteDataObject.
-
-          GRAPH ?g {
-            ?remoteDataObject a nfo:RemoteDataObject;
-              mu:uuid ?remoteDataObjectUuid .
-          }
-        }
-        ORDER BY ?remoteDataObjectUuid
-        LIMIT ${insertBatchSize}
-        OFFSET ${offset}
-      }
-    `;
-
-    const { remoteDataObjectUri, collection } = await getRemoteDataObjectAndCollectionFromTask(task.task, TASK_TYPE, insertBatchSize, offset);
-
-    if (await hasAuth(collection)) {
-      await attachClonedAuthenticationConfiguraton(remoteDataObjectUri, collection);
-      await update(insertStatusQuery);
-      offset += insertBatchSize;
-      console.log(`Inserted ${offset < count ? offset : count}/${count} remote file statuses`);
-    } else {
-      await update(insertStatusQuery);
-      offset += insertBatchSize;
-      console.log(`Inserted ${offset < count ? offset : count}/${count} remote file statuses`);
-    }
+  await markSeeds(collection);
+  await resetRemoteDataObjectStatuses(collection);
+  await resetDownloadAttempts(collection);
+  console.log(`Deleted the remote file statuses of task ${task.task}, except those of skipped urls`);
+
+  // The authentication configuration is the same for all remote data objects of the collection
+  const withAuth = await hasAuth(collection);
+  const run = await startSchedulingRun(task.task);
+  await scheduleRemoteDataObjectsBatch({ task: task.task, run, collection, withAuth, after: null, scheduled: 0, total: count });
+}
+
+/**
+ * Queues the next batch of remote data objects of a task for download and queues a job for the batch after.
+ * The batches are spaced out on the queue, such that deltas can be handled in between.
+ * As long as too many remote data objects of the collection are still outstanding, the next batch is postponed.
+*/
+async function scheduleRemoteDataObjectsBatch(state) {
+  const { task, collection, withAuth, after, scheduled, total } = state;
+
+  const outstanding = await countOutstandingRemoteDataObjects(collection);
+  if (outstanding >= SCHEDULING_MAX_OUTSTANDING) {
+    console.log(`${outstanding} remote data objects of task ${task} are still outstanding, postponing the next batch`);
+    await queue.addPersistentJob('schedule-remote-data-objects', state, { delay: SCHEDULING_BACKPRESSURE_DELAY });
+    return;
+  }
+
+  const batchSize = Math.min(SCHEDULING_BATCH_SIZE, SCHEDULING_MAX_OUTSTANDING - outstanding);
+  const batch = await getRemoteDataObjectsBatch(collection, after, batchSize);
+  if (!batch.length) {
+    console.log(`All ${scheduled} remote file statuses of task ${task} have been inserted`);
+    return;
+  }
+
+  const remoteDataObjects = batch.map(({ remoteDataObject }) => remoteDataObject);
+  if (withAuth)
+    await attachClonedAuthenticationConfiguratons(remoteDataObjects, collection);
+  await queueRemoteDataObjects(remoteDataObjects);
+  console.log(`Inserted ${scheduled + batch.length}/${total} remote file statuses`);
+
+  await queue.addPersistentJob('schedule-remote-data-objects', {
+    ...state,
+    after: batch[batch.length - 1].uuid,
+    scheduled: scheduled + batch.length
+  });
+}
+
+/**
+ * Continues scheduling the remote data objects of a task, unless the task isn't busy anymore, e.g. because it has been canceled,
+ * or the task has been restarted since, in which case the new run takes over.
+ * The task fails if scheduling fails.
+*/
+async function continueSchedulingRemoteDataObjects(state) {
+  const task = await loadTask(state.task);
+  if (!task || task.status != STATUS_BUSY) {
+    console.log(`Task ${state.task} is not busy anymore, stop scheduling its remote data objects`);
+    return;
+  }
+  if (await getSchedulingRun(state.task) !== state.run) {
+    console.log(`Task ${state.task} has been restarted, stop scheduling its remote data objects of the previous run`);
+    return;
+  }
+
+  try {
+    await scheduleRemoteDataObjectsBatch(state);
+  }
+  catch (e) {
+    console.error(e);
+    await appendTaskError(task, e.message);
+    await updateTaskStatus(task, STATUS_FAILED);
   }
 }
 
@@ -1,3 +1,29 @@
 export const CRON_FREQUENCY = process.env.CRON_FREQUENCY || '*/5 * * * *';
 export const ALLOW_CRON_JOB = process.env.ALLOW_CRON_JOB == 'true' ? true : false;
 export const SCHEDULED_TASK_CREATOR = process.env.SCHEDULED_TASK_CREATOR  || 'http://lblod.data.gift/services/migrations';
+export const NAVIGATION_PREDICATES = process.env.NAVIGATION_PREDICATES
+  ? process.env.NAVIGATION_PREDICATES.split(',').map(predicate => predicate.trim()).filter(predicate => predicate)
+  : [ 'http://lblod.data.gift/vocabularies/besluit/linkToPublication' ];
+export const MAX_CRAWL_DEPTH = process.env.MAX_CRAWL_DEPTH ? parseInt(process.env.MAX_CRAWL_DEPTH) : null;
+export const FOLLOW_FEEDS = process.env.FOLLOW_FEEDS == 'true' ? true : false;
+export const MAX_PAGINATION_PAGES = parseInt(process.env.MAX_PAGINATION_PAGES || 100);
+export const URL_CANONICALISATION_RULES = (process.env.URL_CANONICALISATION_RULES || 'strip-fragment,strip-session-ids,strip-tracking-params')
+  .split(',').map(rule => rule.trim()).filter(rule => rule);
+export const URL_CANONICALISATION_HOST_RULES = process.env.URL_CANONICALISATION_HOST_RULES ? JSON.parse(process.env.URL_CANONICALISATION_HOST_RULES) : {};
+export const INCREMENTAL_HARVESTING = process.env.INCREMENTAL_HARVESTING == 'false' ? false : true;
+export const QUEUE_JOURNAL_DIRECTORY = process.env.QUEUE_JOURNAL_DIRECTORY || '/share/harvest-collector/queue';
+export const RECONCILIATION_FREQUENCY = process.env.RECONCILIATION_FREQUENCY || '*/15 * * * *';
+export const COMPLETION_SAFETY_NET_TIMEOUT = parseInt(process.env.COMPLETION_SAFETY_NET_TIMEOUT || 300000);
+export const DOWNLOAD_MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS || 3);
+export const DOWNLOAD_RETRY_BASE_DELAY = parseInt(process.env.DOWNLOAD_RETRY_BASE_DELAY || 60000);
+export const MAX_FAILURE_PERCENTAGE = parseFloat(process.env.MAX_FAILURE_PERCENTAGE || 100);
+export const DOWNLOAD_SCHEDULER_INTERVAL = parseInt(process.env.DOWNLOAD_SCHEDULER_INTERVAL || 1000);
+export const DOWNLOAD_MAX_IN_FLIGHT_PER_HOST = parseInt(process.env.DOWNLOAD_MAX_IN_FLIGHT_PER_HOST || 5);
+export const DOWNLOAD_MIN_INTERVAL_PER_HOST = parseInt(process.env.DOWNLOAD_MIN_INTERVAL_PER_HOST || 1000);
+export const DOWNLOAD_HOST_LIMITS = process.env.DOWNLOAD_HOST_LIMITS ? JSON.parse(process.env.DOWNLOAD_HOST_LIMITS) : {};
+export const RESPECT_ROBOTS_TXT = process.env.RESPECT_ROBOTS_TXT == 'false' ? false : true;
+export const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'lblod-harvest-collector';
+export const ROBOTS_CACHE_TTL = parseInt(process.env.ROBOTS_CACHE_TTL || 86400000);
+export const SCHEDULING_BATCH_SIZE = parseInt(process.env.SCHEDULING_BATCH_SIZE || 100);
+export const SCHEDULING_MAX_OUTSTANDING = parseInt(process.env.SCHEDULING_MAX_OUTSTANDING || 1000);
+export const SCHEDULING_BACKPRESSURE_DELAY = parseInt(process.env.SCHEDULING_BACKPRESSURE_DELAY || 10000);
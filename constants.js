@@ -38,3 +38,26 @@ export const PREFIXES = `
 export const STATUS_READY_TO_BE_CACHED = 'http://lblod.data.gift/file-download-statuses/ready-to-be-cached';
 
 export const TASK_COLLECTING = 'http://lblod.data.gift/id/jobs/concept/TaskOperation/collecting';
+
+export const OPTION_NAVIGATION_PREDICATE = 'http://lblod.data.gift/vocabularies/harvesting/navigationPredicate';
+export const OPTION_MAX_DEPTH = 'http://lblod.data.gift/vocabularies/harvesting/maxDepth';
+export const OPTION_ALLOWED_HOST = 'http://lblod.data.gift/vocabularies/harvesting/allowedHost';
+export const OPTION_ALLOWED_PATH_PREFIX = 'http://lblod.data.gift/vocabularies/harvesting/allowedPathPrefix';
+export const OPTION_INCLUDE_PATTERN = 'http://lblod.data.gift/vocabularies/harvesting/includePattern';
+export const OPTION_EXCLUDE_PATTERN = 'http://lblod.data.gift/vocabularies/harvesting/excludePattern';
+export const OPTION_FOLLOW_FEEDS = 'http://lblod.data.gift/vocabularies/harvesting/followFeeds';
+export const OPTION_MODIFIED_SINCE = 'http://lblod.data.gift/vocabularies/harvesting/modifiedSince';
+export const OPTION_LINK_SELECTOR = 'http://lblod.data.gift/vocabularies/harvesting/linkSelector';
+export const OPTION_MAX_PAGES = 'http://lblod.data.gift/vocabularies/harvesting/maxPages';
+export const OPTION_FULL_HARVEST = 'http://lblod.data.gift/vocabularies/harvesting/fullHarvest';
+
+export const FILE_DOWNLOAD_COLLECTED = 'http://lblod.data.gift/file-download-statuses/collected';
+export const FILE_DOWNLOAD_SKIPPED = 'http://lblod.data.gift/file-download-statuses/skipped';
+export const FILE_DOWNLOAD_RETRY_SCHEDULED = 'http://lblod.data.gift/file-download-statuses/retry-scheduled';
+export const OPTION_MAX_FAILURE_PERCENTAGE = 'http://lblod.data.gift/vocabularies/harvesting/maxFailurePercentage';
+export const OPTION_MANDATORY_URL = 'http://lblod.data.gift/vocabularies/harvesting/mandatoryUrl';
+export const STATUS_CANCELED = 'http://redpencil.data.gift/id/concept/JobStatus/canceled';
+export const FILE_DOWNLOAD_CANCELED = 'http://lblod.data.gift/file-download-statuses/canceled';
+export const FILE_DOWNLOAD_QUEUED = 'http://lblod.data.gift/file-download-statuses/queued';
+export const BEARER_AUTH = 'https://www.w3.org/2019/wot/security#BearerSecurityScheme';
+export const API_KEY_AUTH = 'https://www.w3.org/2019/wot/security#APIKeySecurityScheme';
@@ -0,0 +1,64 @@
+import { update } from './sparql';
+import { sparqlEscapeDateTime, sparqlEscapeUri } from 'mu';
+import {
+  PREFIXES,
+  STATUS_CANCELED,
+  STATUS_READY_TO_BE_CACHED,
+  FILE_DOWNLOAD_RETRY_SCHEDULED,
+  FILE_DOWNLOAD_QUEUED,
+  FILE_DOWNLOAD_CANCELED
+} from '../constants';
+import { deleteCredentials } from './credential-helpers';
+import { updateTaskStatus } from './task';
+
+/**
+ * Cancels a collecting task. The task is marked as canceled, the remote data objects
+ * of its collection that are still waiting to be downloaded are withdrawn from the download flow
+ * and the credentials of the collection are removed.
+ *
+ * @param {String} task URI of the task
+ * @param {String} collection URI of the harvesting collection of the task
+ */
+export async function cancelCollectingTask(task, collection) {
+  await updateTaskStatus({ task }, STATUS_CANCELED);
+  await cancelPendingDownloads(collection);
+  console.log(`Canceled task ${task} of collection ${collection}`);
+}
+
+/**
+ * Moves the remote data objects of a collection that are still waiting to be downloaded
+ * to the canceled status, such that the download service doesn't pick them up anymore,
+ * and removes the credentials of the collection.
+ *
+ * @param {String} collection URI of the harvesting collection
+ */
+export async function cancelPendingDownloads(collection) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ?status;
+          dct:modified ?modified.
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_CANCELED)};
+          dct:modified ${sparqlEscapeDateTime(new Date())}.
+      }
+    }
+    WHERE {
+      ${sparqlEscapeUri(collection)} dct:hasPart ?remoteDataObject.
+      GRAPH ?g {
+        ?remoteDataObject adms:status ?status.
+        OPTIONAL { ?remoteDataObject dct:modified ?modified. }
+      }
+      FILTER (?status IN (
+        ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)},
+        ${sparqlEscapeUri(STATUS_READY_TO_BE_CACHED)},
+        ${sparqlEscapeUri(FILE_DOWNLOAD_RETRY_SCHEDULED)}
+      ))
+    }
+  `);
+  await deleteCredentials(collection);
+}
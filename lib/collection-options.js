@@ -0,0 +1,74 @@
+import { query } from './sparql';
+import { sparqlEscapeUri } from 'mu';
+import { PREFIXES } from '../constants';
+import { parseResult } from './utils';
+
+/**
+ * Gets the values of a harvesting option for a collection.
+ * An option can be configured on the harvesting collection, on the collecting task
+ * having the collection as input or on the job of that task.
+ * The most specific level wins, i.e. collection over task over job.
+ *
+ * @param {String} collectionUri
+ * @param {String} predicate URI of the option
+ * @returns {Array} Values of the option, an empty array if it isn't configured
+ */
+export async function getCollectionOption(collectionUri, predicate) {
+  const optionQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?value ?level WHERE {
+      {
+        BIND(${sparqlEscapeUri(collectionUri)} as ?subject)
+        BIND(0 as ?level)
+      }
+      UNION
+      {
+        ?subject a task:Task;
+          task:inputContainer ?container.
+        ?container task:hasHarvestingCollection ${sparqlEscapeUri(collectionUri)}.
+        BIND(1 as ?level)
+      }
+      UNION
+      {
+        ?task a task:Task;
+          task:inputContainer ?container;
+          dct:isPartOf ?subject.
+        ?container task:hasHarvestingCollection ${sparqlEscapeUri(collectionUri)}.
+        BIND(2 as ?level)
+      }
+      ?subject ${sparqlEscapeUri(predicate)} ?value.
+    }
+  `;
+
+  const values = parseResult(await query(optionQuery));
+  if (!values.length) return [];
+
+  const level = Math.min(...values.map(row => row.level));
+  return values.filter(row => row.level === level).map(row => row.value);
+}
+
+/**
+ * Gets the value of a single-valued harvesting option for a collection.
+ *
+ * @param {String} collectionUri
+ * @param {String} predicate URI of the option
+ * @param {*} defaultValue Value to return if the option isn't configured
+ * @returns The configured value or the default value
+ */
+export async function getCollectionOptionValue(collectionUri, predicate, defaultValue = null) {
+  const values = await getCollectionOption(collectionUri, predicate);
+  return values.length ? values[0] : defaultValue;
+}
+
+/**
+ * Gets the value of a boolean harvesting option for a collection.
+ *
+ * @param {String} collectionUri
+ * @param {String} predicate URI of the option
+ * @param {Boolean} defaultValue Value to return if the option isn't configured
+ * @returns {Boolean}
+ */
+export async function getCollectionOptionFlag(collectionUri, predicate, defaultValue = false) {
+  const value = await getCollectionOptionValue(collectionUri, predicate);
+  return value === null ? defaultValue : ['true', '1'].includes(String(value).toLowerCase());
+}
@@ -1,40 +1,50 @@
-import { PREFIXES, BASIC_AUTH, OAUTH2 } from '../constants';
-import { querySudo as query, updateSudo as update } from '@lblod/mu-auth-sudo';
+import { PREFIXES, BASIC_AUTH, OAUTH2, BEARER_AUTH, API_KEY_AUTH } from '../constants';
+import { query, update } from './sparql';
 import { sparqlEscapeUri, uuid } from 'mu';
 import { parseResult } from './utils';
 
 /**
- * Gets the remoteDataObject and the collection from Task.
- * @param {String} taskUri
- * @param {String} taskType
- * @param {Number} insertBatchSize
- * @param {Number} offset
- * @returns {Object} Object with remoteDataObjectUri and collection
+ * Supported security schemes by type.
+ * For each scheme, the URI prefixes of cloned security schemes and credentials
+ * and the predicates of its secrets. All secrets of a scheme are required.
+ * Optionally, an extra pattern of secret data to remove together with the credentials.
+ *
+ * Supporting a new scheme only requires adding it here.
  */
-export async function getRemoteDataObjectAndCollectionFromTask(taskUri, taskType, insertBatchSize, offset) {
-  const findRemoteDataObjectQuery = `
-  ${PREFIXES}
-  SELECT DISTINCT ?remoteDataObjectUri ?collection WHERE {
-    GRAPH ?g {
-      BIND(${sparqlEscapeUri(taskUri)} as ?task)
-
-      ?task a ${sparqlEscapeUri(taskType)};
-        task:inputContainer ?container.
+const SECURITY_SCHEMES = {
+  [BASIC_AUTH]: {
+    schemePrefix: 'http://data.lblod.info/id/basic-security-schemes/',
+    credentialsPrefix: 'http://data.lblod.info/id/basic-authentication-credentials/',
+    secrets: [ 'meb:username', 'muAccount:password' ]
+  },
+  [OAUTH2]: {
+    schemePrefix: 'http://data.lblod.info/id/oauth2-security-schemes/',
+    credentialsPrefix: 'http://data.lblod.info/id/oauth2-credentials/',
+    secrets: [ 'dgftOauth:clientId', 'dgftOauth:clientSecret' ],
+    extraSecrets: `
+          ?configuration wotSec:SecurityScheme ?schemes .
+          ?schemes wotSec:token ?token ;
+            wotSec:flow ?flow .`
+  },
+  [BEARER_AUTH]: {
+    schemePrefix: 'http://data.lblod.info/id/bearer-security-schemes/',
+    credentialsPrefix: 'http://data.lblod.info/id/bearer-token-credentials/',
+    secrets: [ 'dgftSec:token' ]
+  },
+  [API_KEY_AUTH]: {
+    schemePrefix: 'http://data.lblod.info/id/api-key-security-schemes/',
+    credentialsPrefix: 'http://data.lblod.info/id/api-key-credentials/',
+    secrets: [ 'dgftSec:apiKey' ]
+  }
+};
 
-      ?container task:hasHarvestingCollection ?collection.
-      ?collection a hrvst:HarvestingCollection.
-      ?collection dct:hasPart ?remoteDataObjectUri.
+const SUPPORTED_SECURITY_TYPES = Object.keys(SECURITY_SCHEMES).map(type => sparqlEscapeUri(type)).join('\n          ');
 
-      ?remoteDataObjectUri a nfo:RemoteDataObject;
-        mu:uuid ?remoteDataObjectUuid .
-    }
-  }
-  ORDER BY ?remoteDataObjectUuid
-  LIMIT ${insertBatchSize}
-  OFFSET ${offset}
-  `;
-  const queryResult =  parseResult(await query(findRemoteDataObjectQuery))[0]
-  return queryResult;
+/**
+ * Pattern of the secrets of a scheme, e.g. `meb:username ?secret0 ; muAccount:password ?secret1`
+ */
+function secretsPattern(scheme) {
+  return scheme.secrets.map((predicate, index) => `${predicate} ?secret${index}`).join(' ;\n            ');
 }
 
 /**
@@ -52,14 +62,13 @@ export async function hasAuth(collectionUri) {
         ${sparqlEscapeUri(collectionUri)} dgftSec:targetAuthenticationConfiguration ?authenticationConfiguration.
         ?authenticationConfiguration dgftSec:securityConfiguration/rdf:type ?secType .
         VALUES ?secType {
-          <https://www.w3.org/2019/wot/security#BasicSecurityScheme>
-          <https://www.w3.org/2019/wot/security#OAuth2SecurityScheme>
+          ${SUPPORTED_SECURITY_TYPES}
         }
        }
       }
     `;
-    const boolean = await query(findAuthenticationSchemeQuery);
-    return boolean;
+    const result = await query(findAuthenticationSchemeQuery);
+    return result.boolean;
 }
 
 
@@ -81,8 +90,7 @@ export async function hasAuth(collectionUri) {
         )} dgftSec:targetAuthenticationConfiguration ?authenticationConf .
         ?authenticationConf dgftSec:securityConfiguration/rdf:type ?securityConfigurationType .
         VALUES ?securityConfigurationType {
-          <https://www.w3.org/2019/wot/security#BasicSecurityScheme>
-          <https://www.w3.org/2019/wot/security#OAuth2SecurityScheme>
+          ${SUPPORTED_SECURITY_TYPES}
       }
     }
   `;
@@ -98,17 +106,20 @@ export async function hasAuth(collectionUri) {
  */
 
 export async function deleteCredentials(collectionUri) {
-  let credentialsType;
-  let cleanOauth2Query = `
+  const credentialsType = await getCredentialsType(
+    collectionUri
+  );
+  const scheme = SECURITY_SCHEMES[credentialsType];
+  if (!scheme)
+    return false;
+
+  const cleanCredentialsQuery = `
       ${PREFIXES}
       DELETE {
         GRAPH ?g {
           ?configuration dgftSec:secrets ?secrets .
-          ?secrets dgftOauth:clientId ?clientId ;
-            dgftOauth:clientSecret ?clientSecret .
-          ?configuration wotSec:SecurityScheme ?schemes .
-          ?schemes wotSec:token ?token ;
-            wotSec:flow ?flow .
+          ?secrets ${secretsPattern(scheme)} .
+          ${scheme.extraSecrets || ''}
         }
       } WHERE {
 
@@ -118,64 +129,24 @@ export async function deleteCredentials(collectionUri) {
 
         GRAPH ?g {
           ?configuration dgftSec:secrets ?secrets .
-          ?secrets dgftOauth:clientId ?clientId ;
-            dgftOauth:clientSecret ?clientSecret .
-          ?configuration wotSec:SecurityScheme ?schemes .
-          ?schemes wotSec:token ?token ;
-            wotSec:flow ?flow .
+          ?secrets ${secretsPattern(scheme)} .
+          ${scheme.extraSecrets || ''}
         }
       }
       `;
-  let cleanBasicAuthQuery = `
-      ${PREFIXES}
-      DELETE {
-        GRAPH ?g {
-          ?configuration dgftSec:secrets ?secrets .
-          ?secrets meb:username ?user ;
-            muAccount:password ?pass .
-        }
-      } WHERE {
-
-        ${sparqlEscapeUri(
-          collectionUri
-        )} dgftSec:targetAuthenticationConfiguration ?configuration .
-
-        GRAPH ?g {
-          ?configuration dgftSec:secrets ?secrets .
-          ?secrets meb:username ?user ;
-            muAccount:password ?pass .
-        }
-      }
-      `;
-
-  if (!credentialsType)
-    credentialsType = await getCredentialsType(
-      collectionUri
-    );
-
-  switch (credentialsType) {
-    case BASIC_AUTH:
-      await update(cleanBasicAuthQuery);
-      break;
-    case OAUTH2:
-      await update(cleanOauth2Query);
-      break;
-    default:
-      return false;
-  }
+  await update(cleanCredentialsQuery);
 }
 
 /**
- * Inserting the `AuthenticationConfiguration` from the collection to the remoteDataObject to allow the download step from `download-url-service`.
+ * Inserting a clone of the `AuthenticationConfiguration` from the collection to each of the remoteDataObjects in a single query.
  *
- * @param {String} remoteDataObjectUri remoteDataObject
+ * @param {Array} remoteDataObjectUris remoteDataObjects
  * @param {String} collection collection
- * @returns newAuthConfUri
+ * @returns Array of newAuthConfUris, in the order of the remoteDataObjects
  *
  * Note: `AuthenticationConfiguration` credentials will be removed in the `download-url-service`.
  */
- export async function attachClonedAuthenticationConfiguraton(remoteDataObjectUri, collection) {
-    const newAuthConfUri = `http://data.lblod.info/id/authentication-configurations/${uuid()}`;
+ export async function attachClonedAuthenticationConfiguratons(remoteDataObjectUris, collection) {
     const getAuthInfoQuery = `
       ${PREFIXES}
       SELECT DISTINCT ?secType ?authenticationConfiguration WHERE {
@@ -183,8 +154,7 @@ export async function deleteCredentials(collectionUri) {
          ${sparqlEscapeUri(collection)} dgftSec:targetAuthenticationConfiguration ?authenticationConfiguration.
          ?authenticationConfiguration dgftSec:securityConfiguration/rdf:type ?secType .
          VALUES ?secType {
-          <https://www.w3.org/2019/wot/security#BasicSecurityScheme>
-          <https://www.w3.org/2019/wot/security#OAuth2SecurityScheme>
+          ${SUPPORTED_SECURITY_TYPES}
         }
        }
       }
@@ -192,68 +162,48 @@ export async function deleteCredentials(collectionUri) {
 
     const authData = parseResult(await query(getAuthInfoQuery))[0];
 
-    const newOauth2SecurityScheme = `http://data.lblod.info/id/oauth2-security-schemes/${uuid()}`;
-    const newOauth2Creds = `http://data.lblod.info/id/oauth2-credentials/${uuid()}`;
-    const newBasicSecurityScheme = `http://data.lblod.info/id/basic-security-schemes/${uuid()}`;
-    const newBasicCreds = `http://data.lblod.info/id/basic-authentication-credentials/${uuid()}`;
-
-    let cloneQuery;
-
     if(!authData){
       return null;
     }
-    else if(authData.secType === BASIC_AUTH){
-      cloneQuery = `
-        ${PREFIXES}
-        INSERT {
-          GRAPH ?g {
-            ${sparqlEscapeUri(remoteDataObjectUri)} dgftSec:targetAuthenticationConfiguration ${sparqlEscapeUri(newAuthConfUri)} .
-            ${sparqlEscapeUri(newAuthConfUri)} dgftSec:secrets ${sparqlEscapeUri(newBasicCreds)} .
-            ${sparqlEscapeUri(newBasicCreds)} meb:username ?user ;
-              muAccount:password ?pass .
-            ${sparqlEscapeUri(newAuthConfUri)} dgftSec:securityConfiguration ${sparqlEscapeUri(newBasicSecurityScheme)}.
-            ${sparqlEscapeUri(newBasicSecurityScheme)} ?srcConfP ?srcConfO.
-          }
-        }
-        WHERE {
-          GRAPH ?g {
-            ${sparqlEscapeUri(authData.authenticationConfiguration)} dgftSec:securityConfiguration ?srcConfg.
-            ?srcConfg ?srcConfP ?srcConfO.
-            ${sparqlEscapeUri(authData.authenticationConfiguration)} dgftSec:secrets ?srcSecrets.
-            ?srcSecrets  meb:username ?user ;
-              muAccount:password ?pass .
-          }
-        }`;
+
+    const scheme = SECURITY_SCHEMES[authData.secType];
+    if(!scheme){
+      throw new Error(`Unsupported Security type ${authData.secType}`);
     }
-    else if(authData.secType == OAUTH2){
-      cloneQuery = `
+
+    const cloneQuery = (clones) => `
         ${PREFIXES}
         INSERT {
           GRAPH ?g {
-            ${sparqlEscapeUri(remoteDataObjectUri)} dgftSec:targetAuthenticationConfiguration ${sparqlEscapeUri(newAuthConfUri)} .
-            ${sparqlEscapeUri(newAuthConfUri)} dgftSec:secrets ${sparqlEscapeUri(newOauth2Creds)} .
-            ${sparqlEscapeUri(newOauth2Creds)} dgftOauth:clientId ?clientId ;
-              dgftOauth:clientSecret ?clientSecret .
-            ${sparqlEscapeUri(newAuthConfUri)} dgftSec:securityConfiguration ${sparqlEscapeUri(newOauth2SecurityScheme)}.
-            ${sparqlEscapeUri(newOauth2SecurityScheme)} ?srcConfP ?srcConfO.
+            ?remoteDataObject dgftSec:targetAuthenticationConfiguration ?newAuthConf .
+            ?newAuthConf dgftSec:secrets ?newCreds .
+            ?newCreds ${secretsPattern(scheme)} .
+            ?newAuthConf dgftSec:securityConfiguration ?newSecurityScheme.
+            ?newSecurityScheme ?srcConfP ?srcConfO.
           }
         }
         WHERE {
+          ${clones}
           GRAPH ?g {
             ${sparqlEscapeUri(authData.authenticationConfiguration)} dgftSec:securityConfiguration ?srcConfg.
             ?srcConfg ?srcConfP ?srcConfO.
             ${sparqlEscapeUri(authData.authenticationConfiguration)} dgftSec:secrets ?srcSecrets.
-            ?srcSecrets dgftOauth:clientId ?clientId ;
-              dgftOauth:clientSecret ?clientSecret .
-              OPTIONAL { ?srcConfig dgftOauth:resource ?resource . }
+            ?srcSecrets ${secretsPattern(scheme)} .
           }
         }`;
-    }
-    else {
-      throw new Error(`Unsupported Security type ${authData.secType}`);
-    }
 
-    await update(cloneQuery);
+    const { schemePrefix, credentialsPrefix } = scheme;
+    const clones = remoteDataObjectUris.map(remoteDataObjectUri => ({
+      remoteDataObjectUri,
+      newAuthConfUri: `http://data.lblod.info/id/authentication-configurations/${uuid()}`,
+      newSecuritySchemeUri: `${schemePrefix}${uuid()}`,
+      newCredsUri: `${credentialsPrefix}${uuid()}`
+    }));
+
+    await update(cloneQuery(`
+          VALUES (?remoteDataObject ?newAuthConf ?newSecurityScheme ?newCreds) {
+            ${clones.map(clone => `(${[clone.remoteDataObjectUri, clone.newAuthConfUri, clone.newSecuritySchemeUri, clone.newCredsUri].map(sparqlEscapeUri).join(' ')})`).join('\n            ')}
+          }`));
 
-    return newAuthConfUri;
+    return clones.map(clone => clone.newAuthConfUri);
   }
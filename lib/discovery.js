@@ -0,0 +1,74 @@
+import { query } from './sparql';
+import { sparqlEscapeString, sparqlEscapeUri } from 'mu';
+import { PREFIXES } from '../constants';
+import { parseResult } from './utils';
+
+/**
+ * Gets the harvesting collection with the given id.
+ *
+ * @param {String} id mu:uuid of the collection
+ * @returns {String} URI of the collection or null if it doesn't exist
+ */
+export async function getCollectionById(id) {
+  const collectionQuery = `
+    ${PREFIXES}
+    SELECT ?collection WHERE {
+      ?collection a hrvst:HarvestingCollection;
+        mu:uuid ${sparqlEscapeString(id)}.
+    } LIMIT 1
+  `;
+  const result = parseResult(await query(collectionQuery))[0];
+  return result ? result.collection : null;
+}
+
+/**
+ * Gets the discovery tree of a harvesting collection, i.e. the remote data objects of the
+ * collection nested under the remote data object they have been discovered in.
+ * Seeds are the roots of the tree.
+ *
+ * @param {String} collectionUri
+ * @returns {Array} Root nodes `{ uri, url, status, depth, discoveredVia, skipReason, children }`
+ */
+export async function getDiscoveryTree(collectionUri) {
+  const remoteDataObjectsQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?remoteDataObject ?url ?status ?depth ?parent ?via ?skipReason WHERE {
+      ${sparqlEscapeUri(collectionUri)} dct:hasPart ?remoteDataObject.
+      ?remoteDataObject a nfo:RemoteDataObject;
+        nie:url ?url.
+      OPTIONAL { ?remoteDataObject adms:status ?status. }
+      OPTIONAL { ?remoteDataObject hrvst:depth ?depth. }
+      OPTIONAL { ?remoteDataObject prov:wasDerivedFrom ?parent. }
+      OPTIONAL { ?remoteDataObject hrvst:discoveredVia ?via. }
+      OPTIONAL { ?remoteDataObject hrvst:skipReason ?skipReason. }
+    }
+  `;
+  const rows = parseResult(await query(remoteDataObjectsQuery));
+
+  const nodes = new Map();
+  for (let row of rows) {
+    if (!nodes.has(row.remoteDataObject)) {
+      nodes.set(row.remoteDataObject, {
+        uri: row.remoteDataObject,
+        url: row.url,
+        status: row.status,
+        depth: row.depth === undefined ? 0 : parseInt(row.depth),
+        discoveredVia: row.via,
+        skipReason: row.skipReason,
+        parent: row.parent,
+        children: []
+      });
+    }
+  }
+
+  const roots = [];
+  for (let node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent);
+    if (parent)
+      parent.children.push(node);
+    else
+      roots.push(node);
+    delete node.parent;
+  }
+  return roots;
+}
@@ -0,0 +1,166 @@
+import { query, update } from './sparql';
+import { sparqlEscapeDateTime, sparqlEscapeInt, sparqlEscapeString, sparqlEscapeUri } from 'mu';
+import {
+  PREFIXES,
+  FILE_DOWNLOAD_FAILURE,
+  FILE_DOWNLOAD_RETRY_SCHEDULED,
+  FILE_DOWNLOAD_QUEUED
+} from '../constants';
+import { DOWNLOAD_MAX_ATTEMPTS, DOWNLOAD_RETRY_BASE_DELAY } from '../config';
+import { parseResult } from './utils';
+
+/**
+ * Registers a failed download attempt for each remote data object.
+ * Remote data objects that haven't reached the maximum number of attempts are marked as waiting
+ * for a retry, which should be scheduled after the returned delay. The delay doubles with every attempt.
+ *
+ * @param {Array} remoteDataObjects URIs of the remote data objects of which the download failed
+ * @returns {Object} Object with `retries`, an array of `{ remoteDataObject, delay }`,
+ *                   and `exhausted`, an array of remote data objects that won't be retried
+ */
+export async function registerDownloadFailures(remoteDataObjects) {
+  const retries = [];
+  const exhausted = [];
+
+  for (let remoteDataObject of remoteDataObjects) {
+    const attempts = (await getDownloadAttempts(remoteDataObject)) + 1;
+    const cause = await getRecordedDownloadError(remoteDataObject);
+    const error = cause || 'No error recorded by the download service';
+    await recordDownloadAttempt(remoteDataObject, attempts, error);
+
+    if (attempts < DOWNLOAD_MAX_ATTEMPTS) {
+      const delay = DOWNLOAD_RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+      console.log(`Download of <${remoteDataObject}> failed on attempt ${attempts} of ${DOWNLOAD_MAX_ATTEMPTS} (${error}), retrying in ${delay} ms`);
+      await updateDownloadStatus(remoteDataObject, FILE_DOWNLOAD_FAILURE, FILE_DOWNLOAD_RETRY_SCHEDULED);
+      retries.push({ remoteDataObject, delay });
+    } else {
+      console.log(`Download of <${remoteDataObject}> failed on attempt ${attempts} of ${DOWNLOAD_MAX_ATTEMPTS} (${error}), no retries left`);
+      exhausted.push(remoteDataObject);
+    }
+  }
+
+  return { retries, exhausted };
+}
+
+/**
+ * Queues a remote data object waiting for a retry for download again.
+ *
+ * @param {String} remoteDataObject
+ */
+export async function retryDownload(remoteDataObject) {
+  console.log(`Retrying download of <${remoteDataObject}>`);
+  await updateDownloadStatus(remoteDataObject, FILE_DOWNLOAD_RETRY_SCHEDULED, FILE_DOWNLOAD_QUEUED);
+}
+
+/**
+ * Removes the download attempts and last download error of all remote data objects in a collection,
+ * such that a new run of its task starts with all retries available.
+ *
+ * @param {String} collection URI of the harvesting collection
+ */
+export async function resetDownloadAttempts(collection) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?remoteDataObject hrvst:downloadAttempts ?attempts.
+        ?remoteDataObject hrvst:lastDownloadError ?error.
+      }
+    }
+    WHERE {
+      ${sparqlEscapeUri(collection)} dct:hasPart ?remoteDataObject.
+      GRAPH ?g {
+        ?remoteDataObject hrvst:downloadAttempts ?attempts.
+        OPTIONAL { ?remoteDataObject hrvst:lastDownloadError ?error. }
+      }
+    }
+  `);
+}
+
+async function getDownloadAttempts(remoteDataObject) {
+  const attemptsQuery = `
+    ${PREFIXES}
+    SELECT ?attempts WHERE {
+      ${sparqlEscapeUri(remoteDataObject)} hrvst:downloadAttempts ?attempts.
+    } LIMIT 1
+  `;
+  const result = parseResult(await query(attemptsQuery))[0];
+  return result ? parseInt(result.attempts) : 0;
+}
+
+/**
+ * Gets the message of the most recent error the download service recorded about a remote data object,
+ * i.e. an error having the remote data object as subject that isn't one of the errors of a task.
+ *
+ * @returns {String} The message, or null if the download service didn't record an error
+ */
+async function getRecordedDownloadError(remoteDataObject) {
+  const errorQuery = `
+    ${PREFIXES}
+    SELECT ?message WHERE {
+      ?error a oslc:Error;
+        dct:subject ${sparqlEscapeUri(remoteDataObject)};
+        oslc:message ?message.
+      OPTIONAL { ?error dct:created ?created. }
+      FILTER NOT EXISTS { ?task task:error ?error. }
+    }
+    ORDER BY DESC(?created)
+    LIMIT 1
+  `;
+  const result = parseResult(await query(errorQuery))[0];
+  return result ? result.message : null;
+}
+
+async function recordDownloadAttempt(remoteDataObject, attempts, error) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?remoteDataObject hrvst:downloadAttempts ?attempts;
+          hrvst:lastDownloadError ?error.
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ?remoteDataObject hrvst:downloadAttempts ${sparqlEscapeInt(attempts)};
+          hrvst:lastDownloadError ${sparqlEscapeString(error)}.
+      }
+    }
+    WHERE {
+      GRAPH ?g {
+        BIND(${sparqlEscapeUri(remoteDataObject)} as ?remoteDataObject)
+        ?remoteDataObject adms:status ?status.
+        OPTIONAL { ?remoteDataObject hrvst:downloadAttempts ?attempts. }
+        OPTIONAL { ?remoteDataObject hrvst:lastDownloadError ?error. }
+      }
+    }
+  `);
+}
+
+/**
+ * Updates the status of a remote data object only if it still has the expected status
+ */
+async function updateDownloadStatus(remoteDataObject, currentStatus, status) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(currentStatus)};
+          dct:modified ?modified.
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(status)};
+          dct:modified ${sparqlEscapeDateTime(new Date())}.
+      }
+    }
+    WHERE {
+      GRAPH ?g {
+        BIND(${sparqlEscapeUri(remoteDataObject)} as ?remoteDataObject)
+        ?remoteDataObject adms:status ${sparqlEscapeUri(currentStatus)}.
+        OPTIONAL { ?remoteDataObject dct:modified ?modified. }
+      }
+    }
+  `);
+}
@@ -0,0 +1,313 @@
+import { query, update } from './sparql';
+import { sparqlEscapeDateTime, sparqlEscapeString, sparqlEscapeUri } from 'mu';
+import {
+  PREFIXES,
+  TASK_TYPE,
+  TASK_COLLECTING,
+  STATUS_BUSY,
+  FILE_DOWNLOAD_QUEUED,
+  FILE_DOWNLOAD_SKIPPED,
+  STATUS_READY_TO_BE_CACHED
+} from '../constants';
+import {
+  DOWNLOAD_SCHEDULER_INTERVAL,
+  DOWNLOAD_MAX_IN_FLIGHT_PER_HOST,
+  DOWNLOAD_MIN_INTERVAL_PER_HOST,
+  DOWNLOAD_HOST_LIMITS
+} from '../config';
+import { getCachedRobotsTxt, getRobotsTxt, isAllowedByRobotsTxt } from './robots';
+import { urlsSkipped } from './metrics';
+import { matchesHost, parseResult } from './utils';
+
+const FILE_DOWNLOAD_ONGOING = 'http://lblod.data.gift/file-download-statuses/ongoing';
+
+const HOST_LIMITS = Object.entries(DOWNLOAD_HOST_LIMITS).map(([pattern, limits]) => {
+  return { pattern, limits };
+});
+
+// Time of the last release per host. Lost on restart, which only means the minimum interval
+// isn't respected for the first release afterwards.
+const lastReleases = new Map();
+
+/**
+ * Periodically releases queued remote data objects to the download service.
+ *
+ * @param {Function} onSkipped Async function receiving the collections of which remote data objects
+ *                             have been skipped, as these may be done now
+ */
+export function startDownloadScheduler(onSkipped = async () => {}) {
+  const run = async () => {
+    try {
+      const { skipped } = await releaseQueuedDownloads();
+      if (skipped.length)
+        await onSkipped([...new Set(skipped.map(({ collection }) => collection))]);
+    } catch (e) {
+      console.error(`Something went wrong while releasing queued downloads`, e);
+    } finally {
+      setTimeout(run, DOWNLOAD_SCHEDULER_INTERVAL);
+    }
+  };
+  run();
+}
+
+/**
+ * Releases queued remote data objects to the download service by setting their status to
+ * ready-to-be-cached, oldest first, as long as the limits of their host allow it:
+ * the maximum number of downloads in flight and the minimum interval between two releases.
+ * The Crawl-delay of the robots.txt of the host raises the minimum interval.
+ *
+ * Discovered remote data objects, i.e. that aren't seeds, are only released once the robots.txt
+ * of their origin is known. Those disallowed by the robots.txt are skipped.
+ * The robots.txt files are released within the same limits.
+ *
+ * @returns {Object} Object with the URIs of the `released` remote data objects
+ *                   and the `skipped` ones as `{ remoteDataObject, collection }`
+ */
+export async function releaseQueuedDownloads() {
+  const queuedHosts = await getQueuedHosts();
+  if (!queuedHosts.length) return { released: [], skipped: [] };
+
+  const inFlight = await countDownloadsInFlight();
+  const robotsTxts = new Map();
+  const released = [];
+  const skipped = [];
+  // Each host is considered separately, such that a large backlog of one host doesn't hold up the others
+  for (let { authority, sampleUrl } of queuedHosts) {
+    const host = getHost(sampleUrl);
+    const limits = getHostLimits(host);
+    const available = limits.maxInFlight - (inFlight.get(host) || 0);
+    if (available <= 0 || Date.now() - (lastReleases.get(host) || 0) < limits.minInterval) continue;
+
+    const candidates = await getQueuedDownloads(authority, available);
+    for (let { remoteDataObject, url, collection, parent } of candidates) {
+      const origin = host ? new URL(url).origin : null;
+
+      let robotsTxt = origin ? getCachedRobotsTxt(origin) : null;
+      if (origin && parent) {
+        if (!robotsTxts.has(origin))
+          robotsTxts.set(origin, await getRobotsTxt(origin));
+        const robots = robotsTxts.get(origin);
+        if (robots.pending) continue;
+
+        robotsTxt = robots.robotsTxt;
+        if (robotsTxt && !isAllowedByRobotsTxt(robotsTxt, url)) {
+          skipped.push({ remoteDataObject, collection, reason: `Disallowed by ${origin}/robots.txt` });
+          continue;
+        }
+      }
+
+      const minInterval = robotsTxt && robotsTxt.crawlDelay
+        ? Math.max(limits.minInterval, robotsTxt.crawlDelay * 1000)
+        : limits.minInterval;
+      const count = inFlight.get(host) || 0;
+      const lastRelease = lastReleases.get(host) || 0;
+      if (count < limits.maxInFlight && Date.now() - lastRelease >= minInterval) {
+        released.push(remoteDataObject);
+        inFlight.set(host, count + 1);
+        lastReleases.set(host, Date.now());
+      }
+    }
+  }
+
+  if (released.length) {
+    await markAsReadyToBeCached(released);
+    console.log(`Released ${released.length} queued download(s) of ${queuedHosts.length} host(s)`);
+  }
+  if (skipped.length) {
+    await markAsSkipped(skipped);
+    urlsSkipped.inc({ reason: 'robots-txt' }, skipped.length);
+    console.log(`Skipped ${skipped.length} queued download(s) disallowed by robots.txt: ${JSON.stringify(skipped.map(({ remoteDataObject }) => remoteDataObject))}`);
+  }
+  return { released, skipped };
+}
+
+/**
+ * Gets the download limits of a host. The first host pattern in DOWNLOAD_HOST_LIMITS
+ * matching the host overrides the service-wide defaults.
+ *
+ * @param {String} host
+ * @returns {Object} Object with maxInFlight and minInterval in milliseconds
+ */
+export function getHostLimits(host) {
+  const hostLimits = HOST_LIMITS.find(({ pattern }) => matchesHost(host, pattern));
+  return {
+    maxInFlight: DOWNLOAD_MAX_IN_FLIGHT_PER_HOST,
+    minInterval: DOWNLOAD_MIN_INTERVAL_PER_HOST,
+    ...(hostLimits ? hostLimits.limits : {})
+  };
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    // Invalid URLs are released right away, the download service will report the failure
+    return '';
+  }
+}
+
+/**
+ * Gets the hosts, i.e. the authority part of the URL, having queued remote data objects,
+ * the host with the oldest queued remote data object first.
+ *
+ * @returns {Array} Objects with authority and a sampleUrl of the host
+ */
+async function getQueuedHosts() {
+  const hostsQuery = `
+    ${PREFIXES}
+    SELECT ?authority (SAMPLE(?url) as ?sampleUrl) (MIN(?created) as ?oldest) WHERE {
+      ${schedulablePattern()}
+      ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)};
+        nie:url ?url.
+      OPTIONAL { ?remoteDataObject dct:created ?created. }
+      ${authorityBinding()}
+    }
+    GROUP BY ?authority
+    ORDER BY ?oldest
+  `;
+  return parseResult(await query(hostsQuery));
+}
+
+/**
+ * Gets the oldest queued remote data objects of a host, its robots.txt first
+ * as the other remote data objects of the host may be waiting for it.
+ *
+ * @param {String} authority Authority part of the URL, as returned by `getQueuedHosts`
+ * @param {Number} limit
+ */
+async function getQueuedDownloads(authority, limit) {
+  const queuedQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?remoteDataObject ?url ?collection ?parent ?created ?isRobotsTxt WHERE {
+      ${schedulablePattern()}
+      ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)};
+        nie:url ?url.
+      OPTIONAL { ?remoteDataObject prov:wasDerivedFrom ?parent. }
+      OPTIONAL { ?remoteDataObject dct:created ?created. }
+      BIND(EXISTS { ?remoteDataObject a hrvst:RobotsTxt. } as ?isRobotsTxt)
+      ${authorityBinding()}
+      FILTER (?authority = ${sparqlEscapeString(authority)})
+    }
+    ORDER BY DESC(?isRobotsTxt) ?created
+    LIMIT ${limit}
+  `;
+  return parseResult(await query(queuedQuery));
+}
+
+/**
+ * Binds ?authority to the lowercased authority part, i.e. host and optional port, of ?url.
+ */
+function authorityBinding() {
+  return `BIND(LCASE(REPLACE(STRAFTER(STR(?url), "://"), "[/?#].*$", "")) as ?authority)`;
+}
+
+/**
+ * Pattern binding ?remoteDataObject to the remote data objects of busy collecting tasks.
+ * Downloads of other tasks, e.g. stale ones of failed tasks, are left alone.
+ */
+function ongoingCollectionPattern() {
+  return `
+      ?task a ${sparqlEscapeUri(TASK_TYPE)};
+        task:operation ${sparqlEscapeUri(TASK_COLLECTING)};
+        adms:status ${sparqlEscapeUri(STATUS_BUSY)};
+        task:inputContainer ?container.
+      ?container task:hasHarvestingCollection ?collection.
+      ?collection dct:hasPart ?remoteDataObject.
+  `;
+}
+
+/**
+ * Pattern binding ?remoteDataObject to the remote data objects of busy collecting tasks
+ * and to the robots.txt files, which don't belong to any collection.
+ */
+function schedulablePattern() {
+  return `
+      {
+        ${ongoingCollectionPattern()}
+      }
+      UNION
+      {
+        ?remoteDataObject a hrvst:RobotsTxt.
+      }
+  `;
+}
+
+/**
+ * Counts the remote data objects per host that have been released to the download service,
+ * but of which the download hasn't finished yet.
+ *
+ * @returns {Map} Number of downloads in flight by host
+ */
+async function countDownloadsInFlight() {
+  const inFlightQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?remoteDataObject ?url WHERE {
+      ${schedulablePattern()}
+      ?remoteDataObject adms:status ?status;
+        nie:url ?url.
+      FILTER (?status IN (
+        ${sparqlEscapeUri(STATUS_READY_TO_BE_CACHED)},
+        ${sparqlEscapeUri(FILE_DOWNLOAD_ONGOING)}
+      ))
+    }
+  `;
+  const inFlight = new Map();
+  for (let { url } of parseResult(await query(inFlightQuery))) {
+    const host = getHost(url);
+    inFlight.set(host, (inFlight.get(host) || 0) + 1);
+  }
+  return inFlight;
+}
+
+async function markAsReadyToBeCached(remoteDataObjects) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)};
+          dct:modified ?modified.
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(STATUS_READY_TO_BE_CACHED)};
+          dct:modified ${sparqlEscapeDateTime(new Date())}.
+      }
+    }
+    WHERE {
+      VALUES ?remoteDataObject { ${remoteDataObjects.map(uri => sparqlEscapeUri(uri)).join(' ')} }
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)}.
+        OPTIONAL { ?remoteDataObject dct:modified ?modified. }
+      }
+    }
+  `);
+}
+
+async function markAsSkipped(skipped) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)};
+          dct:modified ?modified.
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_SKIPPED)};
+          hrvst:skipReason ?reason;
+          dct:modified ${sparqlEscapeDateTime(new Date())}.
+      }
+    }
+    WHERE {
+      VALUES (?remoteDataObject ?reason) {
+        ${skipped.map(({ remoteDataObject, reason }) => `(${sparqlEscapeUri(remoteDataObject)} ${sparqlEscapeString(reason)})`).join('\n        ')}
+      }
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)}.
+        OPTIONAL { ?remoteDataObject dct:modified ?modified. }
+      }
+    }
+  `);
+}
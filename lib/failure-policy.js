@@ -0,0 +1,97 @@
+import { query } from './sparql';
+import { sparqlEscapeUri } from 'mu';
+import {
+  PREFIXES,
+  FILE_DOWNLOAD_COLLECTED,
+  FILE_DOWNLOAD_FAILURE,
+  OPTION_MAX_FAILURE_PERCENTAGE,
+  OPTION_MANDATORY_URL
+} from '../constants';
+import { MAX_FAILURE_PERCENTAGE } from '../config';
+import { getCollectionOption, getCollectionOptionValue } from './collection-options';
+import { loadTask, appendTaskError } from './task';
+import { canonicaliseUrl } from './url-canonicalisation';
+import { parseResult } from './utils';
+
+/**
+ * Reports each failed download of a collection as an error of its task
+ * and checks the failures against the failure policy of the collection.
+ * The policy is violated if more than the maximum percentage of downloads failed
+ * or if the download of a mandatory URL failed. Violations are reported as task errors as well.
+ *
+ * @param {String} taskUri
+ * @param {String} collectionUri
+ * @returns {Array} Messages describing the violations of the policy, empty if the policy is met
+ */
+export async function applyFailurePolicy(taskUri, collectionUri) {
+  const task = await loadTask(taskUri);
+  const failures = await getFailedRemoteDataObjects(collectionUri);
+
+  for (let failure of failures) {
+    const reason = failure.error || 'unknown reason';
+    await appendTaskError(task, `Download of ${failure.url} failed: ${reason}`, failure.remoteDataObject);
+  }
+
+  const violations = [];
+
+  const attempted = await countAttemptedRemoteDataObjects(collectionUri);
+  const maxFailurePercentage = parseFloat(await getCollectionOptionValue(collectionUri, OPTION_MAX_FAILURE_PERCENTAGE, MAX_FAILURE_PERCENTAGE));
+  const failurePercentage = attempted ? failures.length / attempted * 100 : 0;
+  if (failurePercentage > maxFailurePercentage)
+    violations.push(`${failures.length} of ${attempted} downloads failed (${failurePercentage.toFixed(1)}%), more than the allowed ${maxFailurePercentage}%`);
+
+  const mandatoryUrls = (await getCollectionOption(collectionUri, OPTION_MANDATORY_URL)).map(canonicaliseIfValid);
+  if (mandatoryUrls.length) {
+    for (let failure of failures) {
+      if (mandatoryUrls.includes(canonicaliseIfValid(failure.url)))
+        violations.push(`Download of mandatory URL ${failure.url} failed`);
+    }
+  }
+
+  for (let violation of violations)
+    await appendTaskError(task, violation);
+
+  return violations;
+}
+
+/**
+ * Canonicalises a URL, falling back to the URL as is if it can't be parsed, e.g. a seed URL without scheme
+ */
+function canonicaliseIfValid(url) {
+  try {
+    return canonicaliseUrl(url);
+  } catch (e) {
+    return url;
+  }
+}
+
+async function getFailedRemoteDataObjects(collectionUri) {
+  const failuresQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?remoteDataObject ?url ?error WHERE {
+      ${sparqlEscapeUri(collectionUri)} dct:hasPart ?remoteDataObject.
+      ?remoteDataObject a nfo:RemoteDataObject;
+        nie:url ?url;
+        adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_FAILURE)}.
+      OPTIONAL { ?remoteDataObject hrvst:lastDownloadError ?error. }
+    }
+  `;
+  return parseResult(await query(failuresQuery));
+}
+
+/**
+ * Counts the remote data objects of the collection that have been collected or failed to download
+ */
+async function countAttemptedRemoteDataObjects(collectionUri) {
+  const countQuery = `
+    ${PREFIXES}
+    SELECT (COUNT(DISTINCT ?remoteDataObject) as ?count) WHERE {
+      ${sparqlEscapeUri(collectionUri)} dct:hasPart ?remoteDataObject.
+      ?remoteDataObject a nfo:RemoteDataObject;
+        adms:status ?status.
+      FILTER (?status IN (${sparqlEscapeUri(FILE_DOWNLOAD_COLLECTED)}, ${sparqlEscapeUri(FILE_DOWNLOAD_FAILURE)}))
+    }
+  `;
+  const result = parseResult(await query(countQuery))[0];
+  return result ? parseInt(result.count) : 0;
+}
@@ -0,0 +1,104 @@
+import { JSDOM } from 'jsdom';
+
+const FEED_ROOT_ELEMENT = /<(?:[\w-]+:)?(urlset|sitemapindex|rss|feed|RDF)[\s>]/;
+const RSS_1_NAMESPACE = 'http://purl.org/rss/1.0/';
+
+/**
+ * Parses a sitemap, sitemap index, RSS or Atom feed.
+ *
+ * @param {String} content Content of the downloaded file
+ * @param {String} baseUrl URL to resolve relative links against
+ * @returns {Object} Object with the type of the feed and its entries as `{ url, modified }`,
+ *                   or null if the content isn't a feed
+ */
+export function parseFeed(content, baseUrl) {
+  const match = content.match(FEED_ROOT_ELEMENT);
+  if (!match) return null;
+
+  let document;
+  try {
+    document = new JSDOM(content, { contentType: 'text/xml' }).window.document;
+  } catch (e) {
+    console.log(`Content looks like a feed, but isn't valid XML: ${e.message}`);
+    return null;
+  }
+
+  const root = document.documentElement;
+  let type;
+  let entries;
+  if (root.localName === 'urlset') {
+    type = 'sitemap';
+    entries = elements(root, 'url').map(url => entry(childText(url, 'loc'), childText(url, 'lastmod')));
+  } else if (root.localName === 'sitemapindex') {
+    type = 'sitemapindex';
+    entries = elements(root, 'sitemap').map(sitemap => entry(childText(sitemap, 'loc'), childText(sitemap, 'lastmod')));
+  } else if (root.localName === 'rss' || (root.localName === 'RDF' && isRss1(root))) {
+    type = 'rss';
+    entries = elements(root, 'item').map(item => entry(childText(item, 'link'), childText(item, 'pubDate') || childText(item, 'date')));
+  } else if (root.localName === 'feed') {
+    type = 'atom';
+    entries = elements(root, 'entry').map(atomEntry => {
+      const links = elements(atomEntry, 'link');
+      const link = links.find(link => !link.getAttribute('rel') || link.getAttribute('rel') === 'alternate') || links[0];
+      return entry(link && link.getAttribute('href'), childText(atomEntry, 'updated') || childText(atomEntry, 'published'));
+    });
+  } else {
+    return null;
+  }
+
+  return {
+    type,
+    entries: entries
+      .filter(entry => entry.url)
+      .map(entry => ({ url: resolveUrl(entry.url, baseUrl), modified: entry.modified }))
+      .filter(entry => entry.url)
+  };
+}
+
+/**
+ * Gets the URLs of the entries of a feed, optionally only those modified since the given date.
+ * Entries without a modification date are always included.
+ *
+ * @param {Object} feed Feed as returned by `parseFeed`
+ * @param {Date} modifiedSince
+ * @returns {Array} URLs of the entries
+ */
+export function getFeedUrls(feed, modifiedSince = null) {
+  return feed.entries
+    .filter(entry => !modifiedSince || !entry.modified || entry.modified >= modifiedSince)
+    .map(entry => entry.url);
+}
+
+/**
+ * Whether an rdf:RDF root element is an RSS 1.0 feed rather than a plain RDF/XML document.
+ */
+function isRss1(root) {
+  return [...root.children].some(element => element.namespaceURI === RSS_1_NAMESPACE
+    || element.localName === 'channel' || element.localName === 'item');
+}
+
+function elements(parent, localName) {
+  return [...parent.getElementsByTagNameNS('*', localName)];
+}
+
+function childText(parent, localName) {
+  const child = [...parent.children].find(element => element.localName === localName);
+  return child ? child.textContent.trim() : null;
+}
+
+function entry(url, modified) {
+  const date = modified ? new Date(modified) : null;
+  return {
+    url: url && url.trim(),
+    modified: date && !isNaN(date) ? date : null
+  };
+}
+
+function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl).toString();
+  } catch (e) {
+    console.log(`Ignoring invalid URL ${url} in feed`);
+    return null;
+  }
+}
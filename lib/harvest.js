@@ -1,31 +1,87 @@
-import { querySudo as query, updateSudo as update } from '@lblod/mu-auth-sudo';
+import { query, update } from './sparql';
 import { readFile } from 'fs-extra';
-import { sparqlEscapeDateTime, sparqlEscapeString, sparqlEscapeUri, uuid } from 'mu';
-import { TASK_TYPE, PREFIXES } from '../constants';
-import { ProcessingQueue } from './processing-queue';
+import { sparqlEscapeDateTime, sparqlEscapeInt, sparqlEscapeString, sparqlEscapeUri, uuid } from 'mu';
+import {
+  TASK_TYPE,
+  TASK_COLLECTING,
+  STATUS_BUSY,
+  STATUS_CANCELED,
+  PREFIXES,
+  OPTION_NAVIGATION_PREDICATE,
+  OPTION_MAX_DEPTH,
+  OPTION_FOLLOW_FEEDS,
+  OPTION_MODIFIED_SINCE,
+  OPTION_LINK_SELECTOR,
+  OPTION_MAX_PAGES,
+  OPTION_FULL_HARVEST
+} from '../constants';
+import {
+  NAVIGATION_PREDICATES,
+  MAX_CRAWL_DEPTH,
+  FOLLOW_FEEDS,
+  MAX_PAGINATION_PAGES,
+  INCREMENTAL_HARVESTING
+} from '../config';
 import  streamify from 'streamify-string';
 import streamToArray from 'stream-to-array';
 import rdfParser from 'rdf-parse';
-import { attachClonedAuthenticationConfiguraton, deleteCredentials, hasAuth } from './credential-helpers';
+import md5File from 'md5-file';
+import { attachClonedAuthenticationConfiguratons, deleteCredentials, hasAuth } from './credential-helpers';
+import { getCollectionOption, getCollectionOptionValue, getCollectionOptionFlag } from './collection-options';
+import { parseFeed, getFeedUrls } from './feeds';
+import { parseHtml, getSelectedLinks, getNextPageLinks } from './html-links';
+import { getCollectionScope, isInScope } from './url-scope';
+import { canonicaliseUrl, stripUrl } from './url-canonicalisation';
+import { applyFailurePolicy } from './failure-policy';
+import { filesHarvested, tasksFinished, urlsDiscovered, urlsSkipped } from './metrics';
 
 
-const INTERNAL_QUEUE = new ProcessingQueue('Internal Queue');
-
 const HARVESTING_GRAPH = process.env.HARVESTING_GRAPH || 'http://mu.semte.ch/graphs/harvesting';
 
-const REMOTE_READY_STATUS = 'http://lblod.data.gift/file-download-statuses/ready-to-be-cached';
+const REMOTE_QUEUED_STATUS = 'http://lblod.data.gift/file-download-statuses/queued';
 const REMOTE_SUCCESS_STATUS = 'http://lblod.data.gift/file-download-statuses/success';
 const REMOTE_COLLECTED_STATUS = 'http://lblod.data.gift/file-download-statuses/collected';
+const REMOTE_SKIPPED_STATUS = 'http://lblod.data.gift/file-download-statuses/skipped';
 
 const TASK_STATUS_SUCCESS = 'http://redpencil.data.gift/id/concept/JobStatus/success';
 const TASK_STATUS_FAILED = 'http://redpencil.data.gift/id/concept/JobStatus/failed';
 
 const FILE_BASE_DIR = '/share/';
-
-const NAVIGATION_PREDICATES = [
-  'http://lblod.data.gift/vocabularies/besluit/linkToPublication'
+const DEFAULT_CONTENT_TYPE = 'text/html';
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+const HTML_LINK_PREDICATE = 'http://www.w3.org/1999/xhtml#a';
+const HTML_NEXT_PAGE_PREDICATE = 'http://www.w3.org/1999/xhtml/vocab#next';
+const PAGINATION_PREDICATES = [
+  HTML_NEXT_PAGE_PREDICATE,
+  'http://www.w3.org/ns/hydra/core#next'
 ];
+const FEED_LINK_PREDICATES = {
+  sitemap: 'http://www.sitemaps.org/schemas/sitemap/0.9#loc',
+  sitemapindex: 'http://www.sitemaps.org/schemas/sitemap/0.9#loc',
+  rss: 'http://purl.org/rss/1.0/link',
+  atom: 'http://www.w3.org/2005/Atom#link'
+};
+const CONTENT_TYPES_BY_EXTENSION = {
+  html: 'text/html',
+  htm: 'text/html',
+  xhtml: 'application/xhtml+xml',
+  ttl: 'text/turtle',
+  n3: 'text/n3',
+  nt: 'application/n-triples',
+  nq: 'application/n-quads',
+  trig: 'application/trig',
+  jsonld: 'application/ld+json',
+  rdf: 'application/rdf+xml',
+  owl: 'application/rdf+xml'
+};
+
 const SERVICE_URI = 'http://github.com/lblod/harvest-collector-service';
+// Previous collection by collection, such that it's looked up only once per collection rather than per file.
+// Lost on restart, in which case it's looked up again.
+const previousCollections = new Map();
+// Number of urls looked up at once in a collection and number of remote data objects inserted at once
+const LOOKUP_BATCH_SIZE = 1000;
+const INSERT_BATCH_SIZE = 50;
 
 
 /**
@@ -59,6 +115,37 @@ async function ensureFilesAreReadyForHarvesting(remoteFiles) {
   return result.results.bindings.map(b => b['remoteDataObject'].value);
 }
 
+/**
+ * Get all downloaded files of ongoing collecting tasks that have not been harvested yet,
+ * e.g. because their delta got lost.
+ *
+ * @return Array of file address URIs
+*/
+async function getPendingRemoteDataObjects() {
+  const result = await query(`
+    ${PREFIXES}
+    SELECT DISTINCT ?remoteDataObject
+    WHERE {
+      ?task a ${sparqlEscapeUri(TASK_TYPE)};
+        task:operation ${sparqlEscapeUri(TASK_COLLECTING)};
+        adms:status ${sparqlEscapeUri(STATUS_BUSY)};
+        task:inputContainer ?container.
+      ?container task:hasHarvestingCollection ?collection.
+
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ?collection a hrvst:HarvestingCollection ;
+          dct:hasPart ?remoteDataObject .
+        ?remoteDataObject adms:status ${sparqlEscapeUri(REMOTE_SUCCESS_STATUS)} .
+      }
+
+      FILTER NOT EXISTS { ?remoteDataObject adms:status ${sparqlEscapeUri(REMOTE_COLLECTED_STATUS)} } .
+    }
+  `);
+  console.log(`Found ${result.results.bindings.length} pending files to harvest`);
+
+  return result.results.bindings.map(b => b['remoteDataObject'].value);
+}
+
 /**
  * Harvests a single remoteDataObject
 */
@@ -97,49 +184,258 @@ async function getHarvestingCollection(remoteDataObject) {
 
 /**
  * Harvest a remote data object and create additional resources to be downloaded/harvested if needed.
- * I.e. try to interpret the downloaded content as HTML, find navigation properties and trigger
+ * I.e. try to interpret the downloaded content as RDF (RDFa in HTML by default), find navigation properties and trigger
  * new downloads for those URLs.
 */
 async function processRemoteDataObject(remoteDataObject, collection) {
   try {
     const physicalFile = await getPhysicalFile(remoteDataObject);
     if (physicalFile) {
-      const urls = await getLinkedUrls(physicalFile, remoteDataObject);
-      console.log(`Found ${urls.length} additional URLs that need to be harvested: ${JSON.stringify(urls)}`);
+      await recordCanonicalUrl(remoteDataObject);
+
+      let links = [];
+      const contentHash = await recordContentHash(remoteDataObject, physicalFile);
+      const original = await getCollectedDuplicate(remoteDataObject, collection, contentHash);
+      if (original) {
+        // Identical content has been harvested before, its links have already been followed
+        console.log(`RemoteDataObject <${remoteDataObject}> has the same content as <${original}> in collection ${collection}. Not following its links again.`);
+        await markAsDuplicate(remoteDataObject, original);
+      } else {
+        if (await isIncremental(collection)) {
+          const previous = await getUnchangedPrevious(remoteDataObject, collection, contentHash);
+          if (previous) {
+            // Links are still followed, the files they link to may have changed
+            console.log(`RemoteDataObject <${remoteDataObject}> is unchanged since <${previous}> in a previous harvest.`);
+            await markAsUnchanged(remoteDataObject, previous);
+          }
+        }
+        links = await getLinksToFollow(physicalFile, remoteDataObject, collection);
+      }
 
       await updateHarvestStatus(remoteDataObject, REMOTE_COLLECTED_STATUS);
+      filesHarvested.inc();
 
-      if (urls.length) {
+      let newDownloads = 0;
+      if (links.length) {
         // We found new links to be harvested in the document
-        console.log(`Preparing new downloads for urls ${urls}`);
-        await prepareNewDownloads(urls, collection);
-      } else if (await isHarvestingCollectionDone({
-        collection: collection,
-        remoteDataObject: remoteDataObject
-      })) {
-        // No new links and there are no remote data objects waiting to be processed by this service
-        console.log(`All files have been processed for collection ${collection}, wrapping up.`);
-        const task = await getTask(collection);
-        await appendCollectedFilesToTaskResultsContainer(task, collection);
-
-        await deleteCredentials(collection);
-        await updateHarvestStatus(task, TASK_STATUS_SUCCESS);
+        console.log(`Preparing new downloads for urls ${links.map(link => link.url)}`);
+        newDownloads = await prepareNewDownloads(links, collection, remoteDataObject);
       }
+
+      // The remote data object reached its final status, this may have been the last one of the collection
+      if (!newDownloads)
+        await checkHarvestingCollectionCompletion(collection);
     } else {
       console.error(`No physical file found for remoteDataObject <${remoteDataObject}>`);
-      const task = await getTask(collection);
-
-      await deleteCredentials(collection);
-      await updateHarvestStatus(task, TASK_STATUS_FAILED);
+      await failHarvestingCollection(collection);
     }
   } catch (e) {
     console.error(`Something went wrong while processing remoteDataObject <${remoteDataObject}>`);
     console.error(e);
-    const task = await getTask(collection);
+    await failHarvestingCollection(collection);
+  }
+}
 
-    await deleteCredentials(collection);
-    await updateHarvestStatus(task, TASK_STATUS_FAILED);
+/**
+ * Gets the links to follow in a remote data object, taking the maximum crawl depth
+ * and maximum number of pages of the collection into account.
+ *
+ * @return Array of links `{ url, via, nextPage, depth, pageIndex }`
+*/
+async function getLinksToFollow(physicalFile, remoteDataObject, collection) {
+  let links = await getLinkedUrls(physicalFile, remoteDataObject, collection);
+  console.log(`Found ${links.length} additional URLs that need to be harvested: ${JSON.stringify(links.map(link => link.url))}`);
+  urlsDiscovered.inc(links.length);
+
+  const { depth, pageIndex } = await getCrawlPosition(remoteDataObject);
+  const maxDepth = await getMaxDepth(collection);
+  const maxPages = await getMaxPages(collection);
+  if (maxDepth !== null && depth >= maxDepth && links.some(link => !link.nextPage)) {
+    const skippedUrls = links.filter(link => !link.nextPage).map(link => link.url);
+    console.log(`RemoteDataObject <${remoteDataObject}> is at the maximum crawl depth ${maxDepth} of collection ${collection}. Skipping ${skippedUrls.length} URLs: ${JSON.stringify(skippedUrls)}`);
+    urlsSkipped.inc({ reason: 'max-depth' }, skippedUrls.length);
+    links = links.filter(link => link.nextPage);
+  }
+  if (pageIndex >= maxPages && links.some(link => link.nextPage)) {
+    const skippedUrls = links.filter(link => link.nextPage).map(link => link.url);
+    console.log(`RemoteDataObject <${remoteDataObject}> is page ${pageIndex} of a paginated listing, the maximum of collection ${collection} is ${maxPages}. Skipping next pages: ${JSON.stringify(skippedUrls)}`);
+    urlsSkipped.inc({ reason: 'max-pages' }, skippedUrls.length);
+    links = links.filter(link => !link.nextPage);
   }
+
+  // A next page is at the same depth as the page it was found in
+  return links.map(link => link.nextPage ? { ...link, depth, pageIndex: pageIndex + 1 } : { ...link, depth: depth + 1 });
+}
+
+/**
+ * Computes the MD5 hash of the content of a physical file and records it on the remote data object.
+ *
+ * @return The content hash
+*/
+async function recordContentHash(remoteDataObject, physicalFile) {
+  const contentHash = await md5File(getFilePath(physicalFile));
+  await update(`
+    PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+    DELETE WHERE {
+      GRAPH ?g {
+        ${sparqlEscapeUri(remoteDataObject)} hrvst:contentHash ?hash .
+      }
+    };
+
+    INSERT DATA {
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ${sparqlEscapeUri(remoteDataObject)} hrvst:contentHash ${sparqlEscapeString(contentHash)} .
+      }
+    }
+  `);
+  return contentHash;
+}
+
+/**
+ * Gets a remote data object in the collection with the same content that has already been collected.
+ * Remote data objects that are duplicates themselves are not considered.
+ *
+ * @return URI of the remote data object or null if the content hasn't been collected yet
+*/
+async function getCollectedDuplicate(remoteDataObject, collection, contentHash) {
+  const result = await query(`
+    PREFIX adms: <http://www.w3.org/ns/adms#>
+    PREFIX dct: <http://purl.org/dc/terms/>
+    PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+    SELECT ?original
+    WHERE {
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ${sparqlEscapeUri(collection)} dct:hasPart ?original .
+        ?original hrvst:contentHash ${sparqlEscapeString(contentHash)} .
+      }
+      ?original adms:status ${sparqlEscapeUri(REMOTE_COLLECTED_STATUS)} .
+      FILTER (?original != ${sparqlEscapeUri(remoteDataObject)})
+      FILTER NOT EXISTS { ?original hrvst:duplicateOf ?other . }
+    } LIMIT 1
+  `);
+
+  if (result.results.bindings.length)
+    return result.results.bindings[0]['original'].value;
+
+  return null;
+}
+
+/**
+ * Marks a remote data object as a duplicate of a remote data object with the same content
+*/
+async function markAsDuplicate(remoteDataObject, original) {
+  await update(`
+    PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+    INSERT DATA {
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ${sparqlEscapeUri(remoteDataObject)} hrvst:duplicateOf ${sparqlEscapeUri(original)} .
+      }
+    }
+  `);
+}
+
+/**
+ * Checks whether only new or changed files should be passed on for the collection.
+*/
+async function isIncremental(collection) {
+  return !(await getCollectionOptionFlag(collection, OPTION_FULL_HARVEST, !INCREMENTAL_HARVESTING));
+}
+
+/**
+ * Gets the most recent successful collection, other than the given collection, that shares seed URLs with it.
+ * The result is cached until the collection is finished.
+ *
+ * @return URI of the previous collection or null if the source hasn't been harvested before
+*/
+async function getPreviousCollection(collection) {
+  if (!previousCollections.has(collection))
+    previousCollections.set(collection, await findPreviousCollection(collection));
+  return previousCollections.get(collection);
+}
+
+async function findPreviousCollection(collection) {
+  const result = await query(`
+    ${PREFIXES}
+    SELECT ?previousCollection
+    WHERE {
+      ${sparqlEscapeUri(collection)} dct:hasPart ?seed .
+      ?seed a hrvst:Seed ;
+        nie:url ?url .
+
+      ?previousCollection a hrvst:HarvestingCollection ;
+        dct:hasPart ?previousSeed .
+      ?previousSeed a hrvst:Seed ;
+        nie:url ?url .
+      FILTER (?previousCollection != ${sparqlEscapeUri(collection)})
+
+      ?previousTask a ${sparqlEscapeUri(TASK_TYPE)} ;
+        task:operation ${sparqlEscapeUri(TASK_COLLECTING)} ;
+        adms:status ${sparqlEscapeUri(TASK_STATUS_SUCCESS)} ;
+        dct:modified ?modified ;
+        task:inputContainer ?container .
+      ?container task:hasHarvestingCollection ?previousCollection .
+    }
+    ORDER BY DESC(?modified)
+    LIMIT 1
+  `);
+
+  if (result.results.bindings.length)
+    return result.results.bindings[0]['previousCollection'].value;
+
+  return null;
+}
+
+/**
+ * Gets the remote data object with the same URL and the same content in the previous collection of the same source.
+ *
+ * @return URI of the remote data object or null if the file is new or has changed
+*/
+async function getUnchangedPrevious(remoteDataObject, collection, contentHash) {
+  const previousCollection = await getPreviousCollection(collection);
+  if (!previousCollection) return null;
+
+  const url = canonicaliseUrl(await getParentUrl(remoteDataObject));
+  const result = await query(`
+    PREFIX dct: <http://purl.org/dc/terms/>
+    PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
+    PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+    SELECT ?previous
+    WHERE {
+      ${sparqlEscapeUri(previousCollection)} dct:hasPart ?previous .
+      ?previous hrvst:contentHash ${sparqlEscapeString(contentHash)} .
+      {
+        ?previous nie:url ${sparqlEscapeUri(url)} .
+      }
+      UNION
+      {
+        ?previous hrvst:canonicalUrl ${sparqlEscapeUri(url)} .
+      }
+    } LIMIT 1
+  `);
+
+  if (result.results.bindings.length)
+    return result.results.bindings[0]['previous'].value;
+
+  return null;
+}
+
+/**
+ * Marks a remote data object as unchanged since a remote data object of a previous harvest
+*/
+async function markAsUnchanged(remoteDataObject, previous) {
+  await update(`
+    PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+    INSERT DATA {
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ${sparqlEscapeUri(remoteDataObject)} hrvst:unchangedFrom ${sparqlEscapeUri(previous)} .
+      }
+    }
+  `);
 }
 
 async function getParentUrl(remoteDataObject) {
@@ -159,68 +455,232 @@ async function getParentUrl(remoteDataObject) {
 }
 
 /**
- * Triggers a new file download for each URL in the set of URLs that has not alread been collected.
+ * Gets the position of a remote data object in the crawl, i.e. its depth and page index.
+ * The depth is the number of links followed from the seed, seeds are at depth 0.
+ * The page index is the position of the remote data object in a paginated listing, starting from 1.
+ *
+ * @return Object with depth and pageIndex
+*/
+async function getCrawlPosition(remoteDataObject) {
+  const result = await query(`
+    PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+    SELECT ?depth ?pageIndex
+    WHERE {
+      OPTIONAL { ${sparqlEscapeUri(remoteDataObject)} hrvst:depth ?depth . }
+      OPTIONAL { ${sparqlEscapeUri(remoteDataObject)} hrvst:pageIndex ?pageIndex . }
+    } LIMIT 1
+  `);
+
+  const binding = result.results.bindings[0] || {};
+  return {
+    depth: binding['depth'] ? parseInt(binding['depth'].value) : 0,
+    pageIndex: binding['pageIndex'] ? parseInt(binding['pageIndex'].value) : 1
+  };
+}
+
+/**
+ * Gets the maximum crawl depth of a collection. Links found in files at this depth are not followed.
+ *
+ * @return The maximum depth or null if the crawl depth is unlimited
+*/
+async function getMaxDepth(collection) {
+  const maxDepth = await getCollectionOptionValue(collection, OPTION_MAX_DEPTH, MAX_CRAWL_DEPTH);
+  return maxDepth === null ? null : parseInt(maxDepth);
+}
+
+/**
+ * Gets the maximum number of pages of a paginated listing that will be followed in a collection.
+*/
+async function getMaxPages(collection) {
+  return parseInt(await getCollectionOptionValue(collection, OPTION_MAX_PAGES, MAX_PAGINATION_PAGES));
+}
+
+/**
+ * Triggers a new file download for each link in the set of links that has not alread been collected.
+ * The downloads are queued, the download scheduler releases them to the download service.
  * Each generated file is attached to the given harvest collection
- * and has a reference to the file it is derived from.
+ * and has a reference to the file it is derived from and the predicate it was discovered via.
+ * URLs outside the scope of the collection are recorded as skipped.
+ *
+ * @param Array links Links as returned by `getLinkedUrls`, with the depth and optional page index
+ *                   of the new remote data objects
+ * @param String collection URI of the harvesting collection
+ * @param String parent URI of the remote data object the links have been found in
+ *
+ * @return Number of new downloads that have been triggered
 */
-async function prepareNewDownloads(urls, collection) {
-  for (let url of urls) {
-    if (!(await hasBeenCollected(url, collection))) {
-      const remoteDataObjectId = uuid();
-      const remoteDataObjectUri = `http://data.lblod.info/id/remote-data-objects/${remoteDataObjectId}`;
-      const timestamp = new Date();
+async function prepareNewDownloads(links, collection, parent) {
+  const scope = await getCollectionScope(collection);
+  const outOfScopeLinks = links.filter(link => !isInScope(link.url, scope));
+  if (outOfScopeLinks.length) {
+    console.log(`Skipping ${outOfScopeLinks.length} URLs outside the scope of collection ${collection}: ${JSON.stringify(outOfScopeLinks.map(link => link.url))}`);
+    await recordSkippedUrls(outOfScopeLinks, collection, parent, 'URL is outside the scope of the harvesting collection');
+    urlsSkipped.inc({ reason: 'out-of-scope' }, outOfScopeLinks.length);
+  }
+
+  const newLinks = await getUncollectedLinks(links.filter(link => isInScope(link.url, scope)), collection);
+  const timestamp = new Date();
+  const remoteDataObjects = newLinks.map(link => {
+    const remoteDataObjectId = uuid();
+    return {
+      ...link,
+      id: remoteDataObjectId,
+      uri: `http://data.lblod.info/id/remote-data-objects/${remoteDataObjectId}`
+    };
+  });
 
-      const createNewRemoteDataObjectQuery = `
+  // Making sure we attach the authentication configuration only when needed
+  const withAuth = remoteDataObjects.length && await hasAuth(collection);
+  for (let batch of chunk(remoteDataObjects, INSERT_BATCH_SIZE)) {
+    await update(`
       ${PREFIXES}
         INSERT DATA {
           GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
-            ${sparqlEscapeUri(collection)} dct:hasPart ${sparqlEscapeUri(remoteDataObjectUri)} .
-            ${sparqlEscapeUri(remoteDataObjectUri)} a nfo:RemoteDataObject, nfo:FileDataObject;
+            ${batch.map(({ uri, id, url, canonicalUrl, via, depth, pageIndex }) => `
+            ${sparqlEscapeUri(collection)} dct:hasPart ${sparqlEscapeUri(uri)} .
+            ${sparqlEscapeUri(uri)} a nfo:RemoteDataObject, nfo:FileDataObject;
               rpioHttp:requestHeader <http://data.lblod.info/request-headers/accept/text/html>;
-              mu:uuid ${sparqlEscapeString(remoteDataObjectId)};
+              mu:uuid ${sparqlEscapeString(id)};
               nie:url ${sparqlEscapeUri(url)};
+              ${canonicalUrl !== url ? `hrvst:canonicalUrl ${sparqlEscapeUri(canonicalUrl)};` : ''}
+              hrvst:depth ${sparqlEscapeInt(depth)};
+              ${pageIndex ? `hrvst:pageIndex ${sparqlEscapeInt(pageIndex)};` : ''}
+              prov:wasDerivedFrom ${sparqlEscapeUri(parent)};
+              hrvst:discoveredVia ${sparqlEscapeUri(via)};
               dct:creator ${sparqlEscapeUri(SERVICE_URI)};
-              adms:status ${sparqlEscapeUri(REMOTE_READY_STATUS)};
               dct:created ${sparqlEscapeDateTime(timestamp)};
-              dct:modified ${sparqlEscapeDateTime(timestamp)}.
+              dct:modified ${sparqlEscapeDateTime(timestamp)}.`).join('\n')}
             <http://data.lblod.info/request-headers/accept/text/html> a http:RequestHeader;
               http:fieldValue "text/html";
               http:fieldName "Accept";
               http:hdrName <http://www.w3.org/2011/http-headers#accept>.
           }
         }
-      `;
-      // Making sure we attach the authentication configuration only when needed
-      if (await hasAuth(collection)) {
-        await update(createNewRemoteDataObjectQuery);
-        await attachClonedAuthenticationConfiguraton(remoteDataObjectUri, collection);
-      } else {
-        await update(createNewRemoteDataObjectQuery);
+    `);
+    // Only queued once the authentication configuration is attached, such that it isn't downloaded without
+    if (withAuth)
+      await attachClonedAuthenticationConfiguratons(batch.map(({ uri }) => uri), collection);
+    await markAsQueued(batch.map(({ uri }) => uri));
+  }
+  return remoteDataObjects.length;
+}
+
+async function markAsQueued(remoteDataObjects) {
+  await update(`
+    ${PREFIXES}
+    INSERT DATA {
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ${remoteDataObjects.map(uri => `${sparqlEscapeUri(uri)} adms:status ${sparqlEscapeUri(REMOTE_QUEUED_STATUS)}.`).join('\n        ')}
       }
     }
-  }
+  `);
 }
 
 /**
- * Checks if the url has already been collected in the current collection
+ * Records links that will not be downloaded as skipped remote data objects in the collection,
+ * together with the reason why they have been skipped.
 */
-async function hasBeenCollected(url, collection) {
-  const result = await query(`
-    PREFIX harvesting: <http://lblod.data.gift/vocabularies/harvesting/>
-    PREFIX adms: <http://www.w3.org/ns/adms#>
-    PREFIX dct: <http://purl.org/dc/terms/>
-    PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
+async function recordSkippedUrls(links, collection, parent, reason) {
+  const newLinks = await getUncollectedLinks(links, collection);
+  const timestamp = new Date();
+  for (let batch of chunk(newLinks, INSERT_BATCH_SIZE)) {
+    await update(`
+      ${PREFIXES}
+      INSERT DATA {
+        GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+          ${batch.map(({ url, canonicalUrl, via, depth }) => {
+            const remoteDataObjectId = uuid();
+            const remoteDataObjectUri = `http://data.lblod.info/id/remote-data-objects/${remoteDataObjectId}`;
+            return `
+          ${sparqlEscapeUri(collection)} dct:hasPart ${sparqlEscapeUri(remoteDataObjectUri)} .
+          ${sparqlEscapeUri(remoteDataObjectUri)} a nfo:RemoteDataObject;
+            mu:uuid ${sparqlEscapeString(remoteDataObjectId)};
+            nie:url ${sparqlEscapeUri(url)};
+            ${canonicalUrl !== url ? `hrvst:canonicalUrl ${sparqlEscapeUri(canonicalUrl)};` : ''}
+            hrvst:depth ${sparqlEscapeInt(depth)};
+            prov:wasDerivedFrom ${sparqlEscapeUri(parent)};
+            hrvst:discoveredVia ${sparqlEscapeUri(via)};
+            hrvst:skipReason ${sparqlEscapeString(reason)};
+            dct:creator ${sparqlEscapeUri(SERVICE_URI)};
+            adms:status ${sparqlEscapeUri(REMOTE_SKIPPED_STATUS)};
+            dct:created ${sparqlEscapeDateTime(timestamp)};
+            dct:modified ${sparqlEscapeDateTime(timestamp)}.`;
+          }).join('\n')}
+        }
+      }
+    `);
+  }
+}
 
-    SELECT ?remoteDataObject
-    WHERE {
-      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
-        ${sparqlEscapeUri(collection)} dct:hasPart ?remoteDataObject .
-        ?remoteDataObject nie:url ${sparqlEscapeUri(url)} .
+/**
+ * Gets the links of which the url, or an equivalent url, hasn't been collected in the current collection yet.
+ * Links to equivalent urls are only kept once. The returned links have their canonicalUrl set.
+*/
+async function getUncollectedLinks(links, collection) {
+  const linksByUrl = new Map();
+  for (let link of links) {
+    const canonicalUrl = canonicaliseUrl(link.url);
+    if (!linksByUrl.has(canonicalUrl))
+      linksByUrl.set(canonicalUrl, link);
+  }
+  if (!linksByUrl.size) return [];
+
+  const collectedUrls = new Set();
+  for (let urls of chunk([...linksByUrl.keys()], LOOKUP_BATCH_SIZE)) {
+    const result = await query(`
+      PREFIX dct: <http://purl.org/dc/terms/>
+      PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
+      PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+      SELECT DISTINCT ?url
+      WHERE {
+        VALUES ?url { ${urls.map(url => sparqlEscapeUri(url)).join(' ')} }
+        GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+          ${sparqlEscapeUri(collection)} dct:hasPart ?remoteDataObject .
+          {
+            ?remoteDataObject nie:url ?url .
+          }
+          UNION
+          {
+            ?remoteDataObject hrvst:canonicalUrl ?url .
+          }
+        }
       }
-    } LIMIT 1
-  `);
+    `);
+    result.results.bindings.forEach(b => collectedUrls.add(b['url'].value));
+  }
 
-  return result.results.bindings.length;
+  return [...linksByUrl.entries()]
+    .filter(([canonicalUrl]) => !collectedUrls.has(canonicalUrl))
+    .map(([canonicalUrl, link]) => ({ ...link, canonicalUrl }));
+}
+
+function chunk(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size)
+    chunks.push(array.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Records the canonical URL of a remote data object if it differs from its URL,
+ * such that links to an equivalent URL are recognised as already collected.
+*/
+async function recordCanonicalUrl(remoteDataObject) {
+  const url = await getParentUrl(remoteDataObject);
+  const canonicalUrl = canonicaliseUrl(url);
+  if (canonicalUrl !== url) {
+    await update(`
+      PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
+
+      INSERT DATA {
+        GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+          ${sparqlEscapeUri(remoteDataObject)} hrvst:canonicalUrl ${sparqlEscapeUri(canonicalUrl)} .
+        }
+      }
+    `);
+  }
 }
 
 /**
@@ -298,44 +758,132 @@ async function getPhysicalFile(file) {
 }
 
 
+/**
+ * Gets the content type of a physical file based on its format or, if the format is missing
+ * or not an RDF syntax, on its extension. Falls back to HTML.
+*/
+async function getContentType(physicalFile) {
+  const result = await query(`
+    PREFIX dct: <http://purl.org/dc/terms/>
+    PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
+    PREFIX dbpedia: <http://dbpedia.org/ontology/>
+
+    SELECT ?format ?extension ?fileName
+    WHERE {
+      OPTIONAL { ${sparqlEscapeUri(physicalFile)} dct:format ?format . }
+      OPTIONAL { ${sparqlEscapeUri(physicalFile)} dbpedia:fileExtension ?extension . }
+      OPTIONAL { ${sparqlEscapeUri(physicalFile)} nfo:fileName ?fileName . }
+    } LIMIT 1
+  `);
+
+  const binding = result.results.bindings[0] || {};
+  const supportedContentTypes = await rdfParser.getContentTypes();
+
+  if (binding['format']) {
+    const format = binding['format'].value.split(';')[0].trim().toLowerCase();
+    if (supportedContentTypes.includes(format))
+      return format;
+  }
+
+  let extension = binding['extension'] && binding['extension'].value;
+  if (!extension && binding['fileName'] && binding['fileName'].value.includes('.'))
+    extension = binding['fileName'].value.split('.').pop();
+  if (extension) {
+    const contentType = CONTENT_TYPES_BY_EXTENSION[extension.toLowerCase()];
+    if (contentType && supportedContentTypes.includes(contentType))
+      return contentType;
+  }
+
+  return DEFAULT_CONTENT_TYPE;
+}
+
+function getFilePath(physicalFile) {
+  return physicalFile.replace('share://', FILE_BASE_DIR);
+}
+
 async function getFile(physicalFile) {
-  const filePath = physicalFile.replace('share://', FILE_BASE_DIR);
+  const filePath = getFilePath(physicalFile);
   const content = await readFile(filePath, 'utf8');
   return content;
 }
 
-// Workaround to avoid extracting the same url multiple times because a `jsessionid`
-// is set in the url. This is only relevant of urls using a Java backend.
-// todo check in the future if that's still the case, other this could be completely removed.
-// Not that we also cleanup the hash, e.g http://foo.com#blabla, this shouldn't affect
-// extraction. We keep the other query parameters that are necessary for extraction.
-function cleanUrl(url) {
-  const uri = new URL(url);
-  uri.hash = '';
-  return uri.toString().replace(/;jsessionid=[a-zA-Z;0-9]*/i, "");
+/**
+ * Gets the navigation predicates to follow for a collection.
+ * Falls back to the service default if none are configured on the collection, its task or job.
+*/
+async function getNavigationPredicates(collection) {
+  const predicates = await getCollectionOption(collection, OPTION_NAVIGATION_PREDICATE);
+  return predicates.length ? predicates : NAVIGATION_PREDICATES;
 }
 
 /**
- * Gets the URLs linking to other documents present in the content of a given remoteDataObject
+ * Gets the URLs linking to other documents present in the content of a given remoteDataObject.
+ * If the collection follows feeds, sitemaps and RSS/Atom feeds are interpreted as such.
+ * Otherwise the content is parsed as RDF and navigation predicates are followed.
+ * In HTML documents, hyperlinks matching the link selectors of the collection are followed as well.
+ * Pagination links (`rel="next"` and `hydra:next`) are always followed and marked as next page.
+ *
+ * @return Array of links `{ url, canonicalUrl, via, nextPage }` where `via` is the URI of the predicate that produced the link.
+ *         The `url` is the URL as found without the parts stripped by the canonicalisation rules.
 */
-async function getLinkedUrls(physicalFile, remoteDataObject) {
-  const contentType = 'text/html';
+async function getLinkedUrls(physicalFile, remoteDataObject, collection) {
   const baseUrl = await getParentUrl(remoteDataObject);
-
   const content = await getFile(physicalFile);
-  const textStream = streamify(content);
-  const rdfaStream = rdfParser.parse(textStream, { contentType: contentType, baseIRI: baseUrl });
-  const rdfa = await streamToArray(rdfaStream);
-  const objects = rdfa.filter(r => r.predicate?.value === 'http://lblod.data.gift/vocabularies/besluit/linkToPublication')
-    .map(r => r.object.value)
-    .map(cleanUrl);
-  const urls = [...new Set(objects)];
 
-  return urls;
+  let links;
+  const feed = await getCollectionOptionFlag(collection, OPTION_FOLLOW_FEEDS, FOLLOW_FEEDS) ? parseFeed(content, baseUrl) : null;
+  if (feed) {
+    const modifiedSince = await getCollectionOptionValue(collection, OPTION_MODIFIED_SINCE);
+    links = getFeedUrls(feed, modifiedSince && new Date(modifiedSince)).map(url => ({ url, via: FEED_LINK_PREDICATES[feed.type] }));
+    console.log(`RemoteDataObject <${remoteDataObject}> is a ${feed.type} with ${feed.entries.length} entries, ${links.length} of them to be followed`);
+  } else {
+    const contentType = await getContentType(physicalFile);
+    const predicates = await getNavigationPredicates(collection);
+    const textStream = streamify(content);
+    const rdfStream = rdfParser.parse(textStream, { contentType: contentType, baseIRI: baseUrl });
+    const quads = await streamToArray(rdfStream);
+    // Configured predicates may have literals or blank nodes as object, these don't link to a document
+    const linkQuads = quads.filter(r => r.object.termType === 'NamedNode');
+    links = linkQuads.filter(r => predicates.includes(r.predicate?.value))
+      .map(r => ({ url: r.object.value, via: r.predicate.value }));
+    links.push(...linkQuads.filter(r => PAGINATION_PREDICATES.includes(r.predicate?.value))
+      .map(r => ({ url: r.object.value, via: r.predicate.value, nextPage: true })));
+
+    if (HTML_CONTENT_TYPES.includes(contentType)) {
+      const document = parseHtml(content, baseUrl);
+      const selectors = await getCollectionOption(collection, OPTION_LINK_SELECTOR);
+      if (selectors.length)
+        links.push(...getSelectedLinks(document, selectors).map(url => ({ url, via: HTML_LINK_PREDICATE })));
+      links.push(...getNextPageLinks(document).map(url => ({ url, via: HTML_NEXT_PAGE_PREDICATE, nextPage: true })));
+    }
+  }
+
+  const currentUrl = canonicaliseUrl(baseUrl);
+  const uniqueLinks = new Map();
+  for (let link of links) {
+    let canonicalUrl;
+    try {
+      canonicalUrl = canonicaliseUrl(link.url);
+    } catch (e) {
+      console.log(`Ignoring invalid URL ${link.url} found in remoteDataObject <${remoteDataObject}>: ${e.message}`);
+      continue;
+    }
+    // Protect against pagination loops on the page itself
+    if (canonicalUrl === currentUrl) continue;
+
+    // The canonical URL is only used to recognise equivalent URLs, the URL is downloaded as found
+    if (uniqueLinks.has(canonicalUrl))
+      uniqueLinks.get(canonicalUrl).nextPage = uniqueLinks.get(canonicalUrl).nextPage || !!link.nextPage;
+    else
+      uniqueLinks.set(canonicalUrl, { url: stripUrl(link.url), canonicalUrl, via: link.via, nextPage: !!link.nextPage });
+  }
+
+  return [...uniqueLinks.values()];
 }
 
 /**
- * Returns whether the passed URI is a RemoteDataObject or not
+ * Returns whether the passed URI is a RemoteDataObject or not.
+ * Remote data objects of canceled tasks are not relevant anymore.
  *
  * @param String uri Uri of the object to test
 */
@@ -353,6 +901,8 @@ async function isRelevantRemoteDataObject(uri) {
      ?collection dct:hasPart ?remoteDataObject.
 
      ?remoteDataObject a nfo:RemoteDataObject.
+
+     FILTER NOT EXISTS { ?task adms:status ${sparqlEscapeUri(STATUS_CANCELED)} }
     }
   `);
 
@@ -360,15 +910,34 @@ async function isRelevantRemoteDataObject(uri) {
 }
 
 
+/**
+ * Creates the results container of the task and adds the collected files to it.
+ * The container is created even if no file has been added, e.g. because none changed since the previous harvest.
+*/
 async function appendCollectedFilesToTaskResultsContainer(task, collection) {
   const id = uuid();
   const containerUri = `http://redpencil.data.gift/id/dataContainers/${id}`;
+  const taskGraph = await getTaskGraph(task);
+  await update(`
+    PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+    PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
+    PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+    INSERT DATA {
+      GRAPH ${sparqlEscapeUri(taskGraph)} {
+        ${sparqlEscapeUri(containerUri)} a nfo:DataContainer.
+        ${sparqlEscapeUri(containerUri)} mu:uuid ${sparqlEscapeString(id)}.
+        ${sparqlEscapeUri(task)} task:resultsContainer ${sparqlEscapeUri(containerUri)}.
+      }
+    }
+  `);
+
   const selectRequest = `
     PREFIX dct: <http://purl.org/dc/terms/>
     PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
     PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
     PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
     PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
+    PREFIX hrvst: <http://lblod.data.gift/vocabularies/harvesting/>
 
     SELECT ?g ?remoteDataObject ?fileName ?size
     WHERE {
@@ -379,99 +948,167 @@ async function appendCollectedFilesToTaskResultsContainer(task, collection) {
        ?physicalFile nfo:fileName ?fileName.
        ?physicalFile nfo:fileSize ?size.
       }
+      FILTER NOT EXISTS { ?remoteDataObject hrvst:duplicateOf ?original. }
+      FILTER NOT EXISTS { ?remoteDataObject hrvst:unchangedFrom ?previous. }
     }
   `;
   const result = await query(selectRequest);
 
-  if (result.results.bindings.length) {
-    const results = await Promise.all(result.results.bindings.map(async result => {
-      const insertRequest = `
-        PREFIX dct: <http://purl.org/dc/terms/>
-        PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
-        PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
-        PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
-        PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
-        INSERT DATA {
-          GRAPH ${sparqlEscapeUri(result['g'].value)} {
-            ${sparqlEscapeUri(containerUri)} a nfo:DataContainer.
-            ${sparqlEscapeUri(containerUri)} mu:uuid ${sparqlEscapeString(id)}.
-            ${sparqlEscapeUri(task)} task:resultsContainer ${sparqlEscapeUri(containerUri)}.
-            ${sparqlEscapeUri(containerUri)} task:hasFile ${sparqlEscapeUri(result['remoteDataObject'].value)}.
-            ${sparqlEscapeUri(result['remoteDataObject'].value)} a nfo:FileDataObject.
-            ${sparqlEscapeUri(result['remoteDataObject'].value)} nfo:fileName ${sparqlEscapeString(result['fileName'].value)}.
-            ${sparqlEscapeUri(result['remoteDataObject'].value)} nfo:fileSize ${sparqlEscapeString(result['size'].value)}.
-          }
-        }
+  if (!result.results.bindings.length) {
+    console.log(`No new or changed files in collection ${collection}, the results container of task ${task} is empty`);
+    return;
+  }
 
-      `;
-      return await update(insertRequest);
+  await Promise.all(result.results.bindings.map(async result => {
+    const insertRequest = `
+      PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+      PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
+      INSERT DATA {
+        GRAPH ${sparqlEscapeUri(result['g'].value)} {
+          ${sparqlEscapeUri(containerUri)} task:hasFile ${sparqlEscapeUri(result['remoteDataObject'].value)}.
+          ${sparqlEscapeUri(result['remoteDataObject'].value)} a nfo:FileDataObject.
+          ${sparqlEscapeUri(result['remoteDataObject'].value)} nfo:fileName ${sparqlEscapeString(result['fileName'].value)}.
+          ${sparqlEscapeUri(result['remoteDataObject'].value)} nfo:fileSize ${sparqlEscapeString(result['size'].value)}.
+        }
+      }
+    `;
+    return await update(insertRequest);
+  }));
+}
 
-    }));
-  }
+async function getTaskGraph(task) {
+  const result = await query(`
+    PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+    SELECT ?g
+    WHERE {
+      GRAPH ?g {
+        ${sparqlEscapeUri(task)} a task:Task.
+      }
+    } LIMIT 1
+  `);
+  return result.results.bindings[0]['g'].value;
 }
 
+/**
+ * Checks whether the collections of the failed remote data objects are done,
+ * since a failed download is a final status as well.
+ *
+ * @return Array of collections that are still ongoing
+*/
 async function handleDownloadFailure(remoteDatasMaxFailure) {
-  const collections = await Promise.all(remoteDatasMaxFailure.map(async rd => {
-    const c = await getHarvestingCollection(rd);
-    return {
-      remoteDataObject: rd,
-      collection: c
-    };
-  }));
-  setTimeout(async () => {
-    for (let collection of collections) {
-
-      if (collection && await isHarvestingCollectionDone(collection)) {
-        const task = await getTask(collection.collection);
-        const taskStatus = await getTaskStatus(task);
-        if (taskStatus === TASK_STATUS_SUCCESS || taskStatus === TASK_STATUS_FAILED) {
-          console.log('nothing to do.');
-          return;
-        }
-        if (await hasRemoteObjectCollected(collection.collection)) {
-          await appendCollectedFilesToTaskResultsContainer(task, collection.collection);
-          await updateHarvestStatus(task, TASK_STATUS_SUCCESS);
-        } else {
-          console.warn(`Collection ${collection.collection} has no collected url, thus fail the job`);
-          await updateHarvestStatus(task, TASK_STATUS_FAILED);
-        }
-      } else {
-        console.log("still ongoing, nothing else to do now");
-        INTERNAL_QUEUE.addJob(async () => handleDownloadFailure(remoteDatasMaxFailure), async (error) => {
-          console.error(`Something went wrong.`, error);
-        });
-      }
+  const collections = new Set();
+  for (let remoteDataObject of remoteDatasMaxFailure)
+    collections.add(await getHarvestingCollection(remoteDataObject));
+
+  const ongoingCollections = [];
+  for (let collection of collections) {
+    if (!(await checkHarvestingCollectionCompletion(collection))) {
+      console.log(`Collection ${collection} is still ongoing, nothing else to do now`);
+      ongoingCollections.push(collection);
     }
-  }, 300000);
+  }
+  return ongoingCollections;
+}
 
+/**
+ * Finishes the collection if none of its remote data objects is waiting to be downloaded or processed
+ * and its task is still busy.
+ *
+ * @return Whether the collection is done
+*/
+async function checkHarvestingCollectionCompletion(collection) {
+  if (!(await isHarvestingCollectionDone(collection)))
+    return false;
+
+  const task = await getTask(collection);
+  if (await getTaskStatus(task) !== STATUS_BUSY) {
+    console.log(`Task ${task} of collection ${collection} is not busy anymore, nothing to do.`);
+  } else {
+    console.log(`All files have been processed for collection ${collection}, wrapping up.`);
+    await finishHarvestingCollection(collection);
+  }
+  return true;
+}
 
+/**
+ * Wraps up a collection of which all files have been processed.
+ * Failed downloads are reported as task errors. The task succeeds if at least one file has been collected
+ * and the failure policy of the collection is met, in which case the collected files are added to
+ * its results container. Otherwise the task fails. The credentials are removed in both cases.
+ *
+ * @return The new status of the task
+*/
+async function finishHarvestingCollection(collection) {
+  const task = await getTask(collection);
+  const violations = await applyFailurePolicy(task, collection);
+  if (!(await hasRemoteObjectCollected(collection))) {
+    console.warn(`Collection ${collection} has no collected url, thus fail the job`);
+    return await failHarvestingCollection(collection);
+  } else if (violations.length) {
+    console.warn(`Collection ${collection} violates its failure policy, thus fail the job: ${violations.join('; ')}`);
+    return await failHarvestingCollection(collection);
+  } else {
+    await appendCollectedFilesToTaskResultsContainer(task, collection);
+    await deleteCredentials(collection);
+    await updateHarvestStatus(task, TASK_STATUS_SUCCESS);
+    previousCollections.delete(collection);
+    tasksFinished.inc({ outcome: 'success' });
+    return TASK_STATUS_SUCCESS;
+  }
+}
 
+/**
+ * Fails the task of a collection and removes the credentials, unless the task isn't busy anymore,
+ * e.g. because it has been canceled in the meantime.
+ *
+ * @return The new status of the task
+*/
+async function failHarvestingCollection(collection) {
+  const task = await getTask(collection);
+  const status = await getTaskStatus(task);
+  if (status !== STATUS_BUSY) {
+    console.log(`Task ${task} of collection ${collection} is not busy anymore, not failing it.`);
+    return status;
+  }
+  await deleteCredentials(collection);
+  await updateHarvestStatus(task, TASK_STATUS_FAILED);
+  previousCollections.delete(collection);
+  tasksFinished.inc({ outcome: 'failed' });
+  return TASK_STATUS_FAILED;
 }
 
 async function isHarvestingCollectionDone(collection) {
   //Note: ?remoteDataObject is considerded done for the collection,
-  // when it has status: http://lblod.data.gift/file-download-statuses/collected
+  // when it has status: http://lblod.data.gift/file-download-statuses/collected or failure
   //So, don't get confused by the http://lblod.data.gift/file-download-statuses/success,
   // as this is not the final status, from the perspective of a collection.
+  //A ?remoteDataObject without status hasn't been scheduled for download yet.
   const q = `
     PREFIX harvesting: <http://lblod.data.gift/vocabularies/harvesting/>
     PREFIX adms: <http://www.w3.org/ns/adms#>
     PREFIX dct: <http://purl.org/dc/terms/>
     PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
+    PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
 
    select ?remoteDataObject
     WHERE {
       GRAPH ?g {
-        ${sparqlEscapeUri(collection.collection)} a harvesting:HarvestingCollection ;
+        ${sparqlEscapeUri(collection)} a harvesting:HarvestingCollection ;
             dct:hasPart ?remoteDataObject .
+        {
 ?remoteDataObject  adms:status  ?status.
-    FILTER  ( ?status  IN (<http://lblod.data.gift/file-download-statuses/ready-to-be-cached>,
+    FILTER  ( ?status  IN (<http://lblod.data.gift/file-download-statuses/queued>,
+                           <http://lblod.data.gift/file-download-statuses/ready-to-be-cached>,
                            <http://lblod.data.gift/file-download-statuses/ongoing>,
-                           <http://lblod.data.gift/file-download-statuses/success>)).
-    FILTER  ( ?remoteDataObject NOT IN (${sparqlEscapeUri(collection.remoteDataObject)})).
-
+                           <http://lblod.data.gift/file-download-statuses/success>,
+                           <http://lblod.data.gift/file-download-statuses/retry-scheduled>)).
+        } UNION {
+          ?remoteDataObject a nfo:RemoteDataObject .
+          FILTER NOT EXISTS { ?remoteDataObject adms:status ?anyStatus }
+        }
       }
     }
+    LIMIT 1
   `;
   const result = await query(q);
   return result.results.bindings.length === 0;
@@ -518,7 +1155,12 @@ async function getTaskStatus(task) {
 }
 
 export {
+  checkHarvestingCollectionCompletion,
   ensureFilesAreReadyForHarvesting,
+  finishHarvestingCollection,
+  getFile,
+  getPendingRemoteDataObjects,
+  getPhysicalFile,
   harvestRemoteDataObject,
   handleDownloadFailure,
   isRelevantRemoteDataObject
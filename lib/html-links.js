@@ -0,0 +1,45 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Parses an HTML document.
+ *
+ * @param {String} content HTML content of the downloaded file
+ * @param {String} baseUrl URL to resolve relative links against
+ * @returns {Document}
+ */
+export function parseHtml(content, baseUrl) {
+  return new JSDOM(content, { url: baseUrl }).window.document;
+}
+
+/**
+ * Gets the targets of the `<a href>` links in an HTML document matching any of the given CSS selectors.
+ *
+ * @param {Document} document HTML document as returned by `parseHtml`
+ * @param {Array} selectors CSS selectors, e.g. `.agenda-list a.document`
+ * @returns {Array} Absolute URLs of the matching links
+ */
+export function getSelectedLinks(document, selectors) {
+  const urls = [];
+  for (let selector of selectors) {
+    const links = [...document.querySelectorAll(selector)].filter(element => element.matches('a[href]'));
+    urls.push(...links.map(link => link.href).filter(isHttpUrl));
+  }
+  return urls;
+}
+
+/**
+ * Gets the targets of the pagination links in an HTML document,
+ * i.e. `<link rel="next">` and `<a rel="next">`.
+ *
+ * @param {Document} document HTML document as returned by `parseHtml`
+ * @returns {Array} Absolute URLs of the next pages
+ */
+export function getNextPageLinks(document) {
+  const links = [...document.querySelectorAll('link[rel][href], a[rel][href]')]
+    .filter(link => link.getAttribute('rel').toLowerCase().split(/\s+/).includes('next'));
+  return links.map(link => link.href).filter(isHttpUrl);
+}
+
+function isHttpUrl(url) {
+  return /^https?:/.test(url);
+}
@@ -0,0 +1,75 @@
+import client from 'prom-client';
+
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: 'harvest_collector_' });
+
+export const queueDepth = new client.Gauge({
+  name: 'harvest_collector_queue_depth',
+  help: 'Number of jobs waiting in a processing queue',
+  labelNames: ['queue'],
+  registers: [register]
+});
+
+export const queueJobDuration = new client.Histogram({
+  name: 'harvest_collector_queue_job_duration_seconds',
+  help: 'Duration of the jobs executed by a processing queue',
+  labelNames: ['queue'],
+  buckets: [0.1, 0.5, 1, 5, 15, 60, 300, 900],
+  registers: [register]
+});
+
+export const deltasReceived = new client.Counter({
+  name: 'harvest_collector_deltas_received_total',
+  help: 'Number of delta messages received',
+  labelNames: ['endpoint'],
+  registers: [register]
+});
+
+export const deltasFiltered = new client.Counter({
+  name: 'harvest_collector_deltas_filtered_total',
+  help: 'Number of delta messages without relevant changes',
+  labelNames: ['endpoint'],
+  registers: [register]
+});
+
+export const filesHarvested = new client.Counter({
+  name: 'harvest_collector_files_harvested_total',
+  help: 'Number of downloaded files that have been harvested',
+  registers: [register]
+});
+
+export const urlsDiscovered = new client.Counter({
+  name: 'harvest_collector_urls_discovered_total',
+  help: 'Number of URLs found in harvested files',
+  registers: [register]
+});
+
+export const urlsSkipped = new client.Counter({
+  name: 'harvest_collector_urls_skipped_total',
+  help: 'Number of found URLs that have not been followed',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+export const tasksFinished = new client.Counter({
+  name: 'harvest_collector_tasks_finished_total',
+  help: 'Number of collecting tasks that have finished',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+export const sparqlQueryDuration = new client.Histogram({
+  name: 'harvest_collector_sparql_query_duration_seconds',
+  help: 'Latency of the SPARQL queries and updates',
+  labelNames: ['type'],
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 15, 60],
+  registers: [register]
+});
+
+export const sparqlQueryErrors = new client.Counter({
+  name: 'harvest_collector_sparql_query_errors_total',
+  help: 'Number of failed SPARQL queries and updates',
+  labelNames: ['type'],
+  registers: [register]
+});
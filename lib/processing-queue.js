@@ -1,26 +1,43 @@
+import { outputJson, readdirSync, readJsonSync, remove, removeSync } from 'fs-extra';
+import path from 'path';
+import { uuid } from 'mu';
+import { queueDepth, queueJobDuration } from './metrics';
+
 export class ProcessingQueue {
-  constructor(name = 'Default') {
+  /**
+   * @param {String} name Name of the queue, used in logs and as name of its journal directory
+   * @param {String} journalDirectory Directory to persist jobs in. Jobs aren't persisted if not set.
+   */
+  constructor(name = 'Default', journalDirectory = null) {
     this.name = name;
     this.queue = [];
+    this.jobTypes = {};
+    this.journal = journalDirectory ? path.join(journalDirectory, name.toLowerCase().replace(/[^a-z0-9]+/g, '-')) : null;
     this.run();
     this.executing = false; //To avoid subtle race conditions TODO: is this required?
   }
 
   async run() {
-    if (this.queue.length > 0 && !this.executing) {
-      const job = this.queue.shift();
+    const index = this.queue.findIndex(job => !job.notBefore || job.notBefore <= Date.now());
+    if (index >= 0 && !this.executing) {
+      const [job] = this.queue.splice(index, 1);
+      queueDepth.set({ queue: this.name }, this.queue.length);
+      const endTimer = queueJobDuration.startTimer({ queue: this.name });
       try {
         this.executing = true;
         console.log(`${this.name}: Executing oldest task on queue`);
         await job.task();
         console.log(`${this.name}: Remaining number of tasks ${this.queue.length}`);
-        this.run();
       }
       catch (error) {
         await job.onError(error);
       }
       finally {
+        endTimer();
+        if (job.journalFile)
+          await this.removeFromJournal(job.journalFile);
         this.executing = false;
+        this.run();
       }
     }
     else {
@@ -33,5 +50,93 @@ export class ProcessingQueue {
       task: origin,
       onError: onError
     });
+    queueDepth.set({ queue: this.name }, this.queue.length);
+  }
+
+  /**
+   * Registers the handler of a type of persistent jobs.
+   * Persistent jobs are described by their type and a serializable payload,
+   * such that they can be replayed after a restart.
+   *
+   * @param {String} type
+   * @param {Function} handler Async function receiving the payload of the job
+   * @param {Function} onError Async function receiving the error if the handler fails
+   */
+  registerJobType(type, handler, onError = async (error) => { console.error(`${this.name}: Error while processing ${type} task`, error); }) {
+    this.jobTypes[type] = { handler, onError };
+  }
+
+  /**
+   * Adds a persistent job to the queue. The job is written to the journal before it is queued
+   * and only removed from the journal once it has been handled.
+   *
+   * @param {String} type Type of the job, see `registerJobType`
+   * @param {*} payload Serializable payload passed to the handler
+   * @param {Object} options `delay` in milliseconds before the job may be executed
+   */
+  async addPersistentJob(type, payload, { delay = 0 } = {}) {
+    if (!this.jobTypes[type])
+      throw new Error(`${this.name}: Unknown job type ${type}`);
+
+    const entry = { type, payload, notBefore: delay ? Date.now() + delay : null };
+    let journalFile = null;
+    if (this.journal) {
+      journalFile = path.join(this.journal, `${Date.now()}-${uuid()}.json`);
+      await outputJson(journalFile, entry);
+    }
+    this.queue.push(this.createPersistentJob(entry, journalFile));
+    queueDepth.set({ queue: this.name }, this.queue.length);
+  }
+
+  /**
+   * Queues the jobs that were still in the journal, i.e. that weren't handled before the service stopped.
+   * Must be called after registering the job types.
+   */
+  restore() {
+    if (!this.journal) return;
+
+    let files;
+    try {
+      files = readdirSync(this.journal).filter(file => file.endsWith('.json')).sort();
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+
+    const jobs = [];
+    for (let file of files) {
+      const journalFile = path.join(this.journal, file);
+      try {
+        const entry = readJsonSync(journalFile);
+        if (!this.jobTypes[entry.type])
+          throw new Error(`Unknown job type ${entry.type}`);
+        jobs.push(this.createPersistentJob(entry, journalFile));
+      } catch (e) {
+        console.error(`${this.name}: Discarding invalid journal entry ${journalFile}`, e);
+        removeSync(journalFile);
+      }
+    }
+
+    console.log(`${this.name}: Restored ${jobs.length} task(s) from the journal`);
+    this.queue.unshift(...jobs);
+    queueDepth.set({ queue: this.name }, this.queue.length);
+  }
+
+  createPersistentJob(entry, journalFile) {
+    const { handler, onError } = this.jobTypes[entry.type];
+    return {
+      task: async () => handler(entry.payload),
+      onError: onError,
+      notBefore: entry.notBefore,
+      journalFile: journalFile
+    };
+  }
+
+  async removeFromJournal(journalFile) {
+    try {
+      await remove(journalFile);
+    } catch (e) {
+      console.error(`${this.name}: Failed to remove ${journalFile} from the journal`, e);
+    }
   }
 }
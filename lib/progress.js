@@ -0,0 +1,115 @@
+import { query } from './sparql';
+import { sparqlEscapeString, sparqlEscapeUri } from 'mu';
+import { PREFIXES, TASK_TYPE, TASK_COLLECTING, STATUS_BUSY } from '../constants';
+import { parseResult } from './utils';
+
+const RECENT_ERRORS_LIMIT = 10;
+
+/**
+ * Finds a collecting task and its harvesting collection.
+ *
+ * @param {String} id mu:uuid of the task, or the URI of the task or of its harvesting collection
+ * @returns {Object} Object with task and collection or null if no collecting task is found
+ */
+export async function findCollectingTask(id) {
+  const isUri = /^https?:\/\//.test(id);
+  const findQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?task ?collection WHERE {
+      ?task a ${sparqlEscapeUri(TASK_TYPE)};
+        task:operation ${sparqlEscapeUri(TASK_COLLECTING)};
+        task:inputContainer ?container.
+      ?container task:hasHarvestingCollection ?collection.
+      ${isUri
+        ? `FILTER (?task = ${sparqlEscapeUri(id)} || ?collection = ${sparqlEscapeUri(id)})`
+        : `?task mu:uuid ${sparqlEscapeString(id)}.`}
+    } LIMIT 1
+  `;
+  return parseResult(await query(findQuery))[0] || null;
+}
+
+/**
+ * Gets the progress of a collecting task: the number of remote data objects per download status,
+ * the current crawl depth, the elapsed time and the most recent errors.
+ *
+ * @param {String} task URI of the task
+ * @param {String} collection URI of the harvesting collection of the task
+ * @returns {Object}
+ */
+export async function getProgress(task, collection) {
+  const taskInfo = parseResult(await query(`
+    ${PREFIXES}
+    SELECT ?status ?created ?startedAt ?modified WHERE {
+      ${sparqlEscapeUri(task)} adms:status ?status.
+      OPTIONAL { ${sparqlEscapeUri(task)} dct:created ?created. }
+      OPTIONAL { ${sparqlEscapeUri(task)} prov:startedAtTime ?startedAt. }
+      OPTIONAL { ${sparqlEscapeUri(task)} dct:modified ?modified. }
+    } LIMIT 1
+  `))[0] || {};
+
+  const statusCounts = parseResult(await query(`
+    ${PREFIXES}
+    SELECT ?status (COUNT(DISTINCT ?remoteDataObject) as ?count) WHERE {
+      ${sparqlEscapeUri(collection)} dct:hasPart ?remoteDataObject.
+      ?remoteDataObject a nfo:RemoteDataObject.
+      OPTIONAL { ?remoteDataObject adms:status ?status. }
+    }
+    GROUP BY ?status
+  `));
+  const remoteDataObjects = { total: 0, byStatus: {} };
+  for (let { status, count } of statusCounts) {
+    remoteDataObjects.byStatus[status || 'none'] = parseInt(count);
+    remoteDataObjects.total += parseInt(count);
+  }
+
+  const depthResult = parseResult(await query(`
+    ${PREFIXES}
+    SELECT (MAX(?depth) as ?maxDepth) WHERE {
+      ${sparqlEscapeUri(collection)} dct:hasPart ?remoteDataObject.
+      ?remoteDataObject hrvst:depth ?depth.
+    }
+  `))[0];
+  const depth = depthResult && depthResult.maxDepth !== undefined ? parseInt(depthResult.maxDepth) : 0;
+
+  // Tasks started before the start time was recorded fall back to their creation
+  const startedAt = taskInfo.startedAt || taskInfo.created || null;
+  const endedAt = taskInfo.status === STATUS_BUSY ? new Date() : (taskInfo.modified || new Date());
+
+  return {
+    task,
+    collection,
+    status: taskInfo.status,
+    startedAt,
+    elapsedTime: startedAt ? endedAt - startedAt : null,
+    depth,
+    remoteDataObjects,
+    recentErrors: await getRecentErrors(task, collection)
+  };
+}
+
+/**
+ * Gets the most recent errors of the task and of the failed downloads in its collection
+ */
+async function getRecentErrors(task, collection) {
+  const errors = parseResult(await query(`
+    ${PREFIXES}
+    SELECT DISTINCT ?subject ?message ?created WHERE {
+      {
+        ${sparqlEscapeUri(task)} task:error ?error.
+        ?error oslc:message ?message.
+        OPTIONAL { ?error dct:created ?created. }
+        OPTIONAL { ?error dct:subject ?subject. }
+      }
+      UNION
+      {
+        ${sparqlEscapeUri(collection)} dct:hasPart ?subject.
+        ?subject hrvst:lastDownloadError ?message.
+        OPTIONAL { ?subject dct:modified ?created. }
+      }
+    }
+    ORDER BY DESC(?created)
+    LIMIT ${RECENT_ERRORS_LIMIT}
+  `));
+
+  return errors.map(({ subject, message, created }) => ({ subject, message, created }));
+}
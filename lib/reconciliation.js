@@ -0,0 +1,64 @@
+import { query } from './sparql';
+import { sparqlEscapeUri } from 'mu';
+import {
+  PREFIXES,
+  TASK_TYPE,
+  TASK_COLLECTING,
+  STATUS_BUSY,
+  FILE_DOWNLOAD_COLLECTED,
+  FILE_DOWNLOAD_FAILURE,
+  FILE_DOWNLOAD_SKIPPED
+} from '../constants';
+import { finishHarvestingCollection } from './harvest';
+import { parseResult } from './utils';
+
+/**
+ * Finishes busy collecting tasks of which all remote data objects have reached a final status,
+ * but that haven't been wrapped up, e.g. because the service was down while the last file was processed.
+ */
+export async function reconcileCollectingTasks() {
+  const stuckTasks = await getStuckCollectingTasks();
+  console.log(`Reconciliation found ${stuckTasks.length} stuck collecting task(s)`);
+
+  for (let { task, collection } of stuckTasks) {
+    try {
+      const status = await finishHarvestingCollection(collection);
+      console.log(`Reconciliation finished task ${task} of collection ${collection} with status ${status}`);
+    } catch (e) {
+      console.error(`Reconciliation failed to finish task ${task} of collection ${collection}`, e);
+    }
+  }
+}
+
+/**
+ * Gets the busy collecting tasks of which every remote data object is collected, failed or skipped.
+ *
+ * @returns {Array} Objects with task and collection
+ */
+export async function getStuckCollectingTasks() {
+  const stuckTasksQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?task ?collection WHERE {
+      ?task a ${sparqlEscapeUri(TASK_TYPE)};
+        task:operation ${sparqlEscapeUri(TASK_COLLECTING)};
+        adms:status ${sparqlEscapeUri(STATUS_BUSY)};
+        task:inputContainer ?container.
+      ?container task:hasHarvestingCollection ?collection.
+      ?collection dct:hasPart ?anyRemoteDataObject.
+
+      FILTER NOT EXISTS {
+        ?collection dct:hasPart ?remoteDataObject.
+        ?remoteDataObject a nfo:RemoteDataObject.
+        FILTER NOT EXISTS {
+          ?remoteDataObject adms:status ?status.
+          FILTER (?status IN (
+            ${sparqlEscapeUri(FILE_DOWNLOAD_COLLECTED)},
+            ${sparqlEscapeUri(FILE_DOWNLOAD_FAILURE)},
+            ${sparqlEscapeUri(FILE_DOWNLOAD_SKIPPED)}
+          ))
+        }
+      }
+    }
+  `;
+  return parseResult(await query(stuckTasksQuery));
+}
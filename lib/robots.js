@@ -0,0 +1,206 @@
+import { query, update } from './sparql';
+import { sparqlEscapeDateTime, sparqlEscapeString, sparqlEscapeUri, uuid } from 'mu';
+import {
+  PREFIXES,
+  FILE_DOWNLOAD_SUCCESS,
+  FILE_DOWNLOAD_FAILURE,
+  FILE_DOWNLOAD_COLLECTED,
+  FILE_DOWNLOAD_QUEUED
+} from '../constants';
+import { RESPECT_ROBOTS_TXT, ROBOTS_USER_AGENT, ROBOTS_CACHE_TTL } from '../config';
+import { getFile, getPhysicalFile } from './harvest';
+import { parseResult } from './utils';
+
+const HARVESTING_GRAPH = process.env.HARVESTING_GRAPH || 'http://mu.semte.ch/graphs/harvesting';
+const SERVICE_URI = 'http://github.com/lblod/harvest-collector-service';
+const ROBOTS_TXT_TYPE = 'http://lblod.data.gift/vocabularies/harvesting/RobotsTxt';
+// A robots.txt that hasn't been downloaded this long after its release is considered unavailable for now
+const ROBOTS_DOWNLOAD_TIMEOUT = 5 * 60 * 1000;
+// Time the fallback for a robots.txt that is still being downloaded is reused, before checking the download again
+const ROBOTS_FALLBACK_TTL = 60 * 1000;
+
+// Parsed robots.txt files by origin, to avoid reading the same file on every release
+const cache = new Map();
+
+/**
+ * Parses a robots.txt file and keeps the rules of the group that applies to the user agent.
+ * The group with the longest user agent matching the user agent is used, falling back to the `*` group.
+ *
+ * @param {String} content Content of the robots.txt file
+ * @param {String} userAgent Product token of the user agent
+ * @returns {Object} Object with the `rules` as `{ allow, path }` and the `crawlDelay` in seconds or null
+ */
+export function parseRobotsTxt(content, userAgent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  let group = null;
+  let inUserAgentLines = false;
+  for (let line of content.split(/\r?\n/)) {
+    line = line.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user agent lines share the same group
+      if (!inUserAgentLines) {
+        group = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.userAgents.push(value.toLowerCase());
+      inUserAgentLines = true;
+    } else {
+      inUserAgentLines = false;
+      if (!group) continue;
+      if ((field === 'allow' || field === 'disallow') && value)
+        group.rules.push({ allow: field === 'allow', path: value });
+      else if (field === 'crawl-delay' && !isNaN(parseFloat(value)))
+        group.crawlDelay = parseFloat(value);
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const specificity = (candidate) => Math.max(...candidate.userAgents.map(name => {
+    if (name === '*') return 0;
+    return agent.includes(name) ? name.length : -1;
+  }));
+  const best = Math.max(-1, ...groups.map(specificity));
+  const applicable = groups.filter(candidate => best >= 0 && specificity(candidate) === best);
+
+  return {
+    rules: [].concat(...applicable.map(candidate => candidate.rules)),
+    crawlDelay: applicable.map(candidate => candidate.crawlDelay).find(delay => delay !== null) || null
+  };
+}
+
+/**
+ * Checks whether a URL may be crawled according to the parsed robots.txt of its origin.
+ * The longest matching rule wins, an allow rule wins from a disallow rule of the same length.
+ *
+ * @param {Object} robotsTxt Parsed robots.txt as returned by `parseRobotsTxt`
+ * @param {String} url
+ * @returns {Boolean}
+ */
+export function isAllowedByRobotsTxt(robotsTxt, url) {
+  const { pathname, search } = new URL(url);
+  const path = pathname + search;
+  let match = null;
+  for (let rule of robotsTxt.rules) {
+    if (!pathPattern(rule.path).test(path)) continue;
+    if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow))
+      match = rule;
+  }
+  return !match || match.allow;
+}
+
+function pathPattern(path) {
+  const anchored = path.endsWith('$');
+  const pattern = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Gets the parsed robots.txt of an origin that has been downloaded before, without triggering a download.
+ *
+ * @param {String} origin e.g. https://www.gent.be
+ * @returns {Object} Parsed robots.txt, or null if it isn't known (yet)
+ */
+export function getCachedRobotsTxt(origin) {
+  const entry = cache.get(origin);
+  return entry && entry.expiresAt > Date.now() ? entry.robotsTxt : null;
+}
+
+/**
+ * Gets the robots.txt of an origin. The robots.txt is downloaded by the download service
+ * as a remote data object of its own, outside any harvesting collection, and reused until it expires.
+ * If there is no recent download, a new one is queued, the download scheduler releases it
+ * within the limits of the host.
+ *
+ * @param {String} origin e.g. https://www.gent.be
+ * @returns {Object} Object with `pending` true while the robots.txt is being downloaded,
+ *                   and otherwise the parsed `robotsTxt`. An unavailable robots.txt allows everything.
+ */
+export async function getRobotsTxt(origin) {
+  if (!RESPECT_ROBOTS_TXT)
+    return { pending: false, robotsTxt: null };
+
+  const cachedRobotsTxt = getCachedRobotsTxt(origin);
+  if (cachedRobotsTxt)
+    return { pending: false, robotsTxt: cachedRobotsTxt };
+
+  const download = await getLatestDownload(origin);
+  if (!download || download.created.getTime() + ROBOTS_CACHE_TTL < Date.now()) {
+    await downloadRobotsTxt(origin);
+    return { pending: true };
+  }
+
+  const expiresAt = download.created.getTime() + ROBOTS_CACHE_TTL;
+  if ([FILE_DOWNLOAD_SUCCESS, FILE_DOWNLOAD_COLLECTED].includes(download.status)) {
+    const robotsTxt = await readRobotsTxt(download.remoteDataObject);
+    cache.set(origin, { robotsTxt, expiresAt });
+    return { pending: false, robotsTxt };
+  } else if (download.status === FILE_DOWNLOAD_FAILURE) {
+    console.log(`No robots.txt available for ${origin}, everything is allowed`);
+    const robotsTxt = { rules: [], crawlDelay: null };
+    cache.set(origin, { robotsTxt, expiresAt });
+    return { pending: false, robotsTxt };
+  } else if (download.status !== FILE_DOWNLOAD_QUEUED && download.modified.getTime() + ROBOTS_DOWNLOAD_TIMEOUT < Date.now()) {
+    // The download may still finish, it's checked again once the fallback expires
+    console.log(`robots.txt of ${origin} is taking too long to download, everything is allowed for now`);
+    const robotsTxt = { rules: [], crawlDelay: null };
+    cache.set(origin, { robotsTxt, expiresAt: Date.now() + ROBOTS_FALLBACK_TTL });
+    return { pending: false, robotsTxt };
+  } else {
+    return { pending: true };
+  }
+}
+
+async function readRobotsTxt(remoteDataObject) {
+  const physicalFile = await getPhysicalFile(remoteDataObject);
+  if (!physicalFile)
+    return { rules: [], crawlDelay: null };
+  return parseRobotsTxt(await getFile(physicalFile));
+}
+
+async function getLatestDownload(origin) {
+  const downloadQuery = `
+    ${PREFIXES}
+    SELECT ?remoteDataObject ?status ?created ?modified WHERE {
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ?remoteDataObject a ${sparqlEscapeUri(ROBOTS_TXT_TYPE)};
+          nie:url ${sparqlEscapeUri(`${origin}/robots.txt`)};
+          adms:status ?status;
+          dct:created ?created;
+          dct:modified ?modified.
+      }
+    }
+    ORDER BY DESC(?created)
+    LIMIT 1
+  `;
+  return parseResult(await query(downloadQuery))[0] || null;
+}
+
+async function downloadRobotsTxt(origin) {
+  const remoteDataObjectId = uuid();
+  const remoteDataObjectUri = `http://data.lblod.info/id/remote-data-objects/${remoteDataObjectId}`;
+  const timestamp = new Date();
+  console.log(`Queueing download of ${origin}/robots.txt`);
+
+  await update(`
+    ${PREFIXES}
+    INSERT DATA {
+      GRAPH ${sparqlEscapeUri(HARVESTING_GRAPH)} {
+        ${sparqlEscapeUri(remoteDataObjectUri)} a nfo:RemoteDataObject, nfo:FileDataObject, ${sparqlEscapeUri(ROBOTS_TXT_TYPE)};
+          mu:uuid ${sparqlEscapeString(remoteDataObjectId)};
+          nie:url ${sparqlEscapeUri(`${origin}/robots.txt`)};
+          dct:creator ${sparqlEscapeUri(SERVICE_URI)};
+          adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)};
+          dct:created ${sparqlEscapeDateTime(timestamp)};
+          dct:modified ${sparqlEscapeDateTime(timestamp)}.
+      }
+    }
+  `);
+}
@@ -0,0 +1,28 @@
+import { querySudo, updateSudo } from '@lblod/mu-auth-sudo';
+import { sparqlQueryDuration, sparqlQueryErrors } from './metrics';
+
+/**
+ * Executes a SPARQL query as sudo and records its latency and errors.
+ */
+export async function query(queryString) {
+  return await instrument('query', () => querySudo(queryString));
+}
+
+/**
+ * Executes a SPARQL update as sudo and records its latency and errors.
+ */
+export async function update(queryString) {
+  return await instrument('update', () => updateSudo(queryString));
+}
+
+async function instrument(type, execute) {
+  const end = sparqlQueryDuration.startTimer({ type });
+  try {
+    return await execute();
+  } catch (e) {
+    sparqlQueryErrors.inc({ type });
+    throw e;
+  } finally {
+    end();
+  }
+}
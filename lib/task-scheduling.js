@@ -0,0 +1,189 @@
+import { query, update } from './sparql';
+import { sparqlEscapeInt, sparqlEscapeString, sparqlEscapeUri, uuid } from 'mu';
+import {
+  PREFIXES,
+  FILE_DOWNLOAD_QUEUED,
+  FILE_DOWNLOAD_SKIPPED,
+  STATUS_READY_TO_BE_CACHED
+} from '../constants';
+import { parseResult } from './utils';
+
+const FILE_DOWNLOAD_ONGOING = 'http://lblod.data.gift/file-download-statuses/ongoing';
+
+/**
+ * Marks the seeds of a collection, i.e. the remote data objects that haven't been discovered in another one,
+ * as `hrvst:Seed` at depth 0. Seeds that have been marked before, e.g. by a previous run of the task, are left alone.
+ *
+ * @param {String} collection URI of the harvesting collection
+ */
+export async function markSeeds(collection) {
+  await update(`
+    ${PREFIXES}
+    INSERT {
+      GRAPH ?g {
+        ?remoteDataObject a hrvst:Seed;
+          hrvst:depth ${sparqlEscapeInt(0)}.
+      }
+    }
+    WHERE {
+      ${sparqlEscapeUri(collection)} a hrvst:HarvestingCollection;
+        dct:hasPart ?remoteDataObject.
+      GRAPH ?g {
+        ?remoteDataObject a nfo:RemoteDataObject.
+      }
+      FILTER NOT EXISTS { ?remoteDataObject prov:wasDerivedFrom ?parent. }
+      FILTER NOT EXISTS { ?remoteDataObject a hrvst:Seed. }
+    }
+  `);
+}
+
+/**
+ * Removes the status of the remote data objects in a collection, such that they can be scheduled again.
+ * Remote data objects without status are considered not yet scheduled.
+ * Skipped remote data objects, e.g. out of scope or disallowed by robots.txt, keep their status.
+ *
+ * @param {String} collection URI of the harvesting collection
+ */
+export async function resetRemoteDataObjectStatuses(collection) {
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ?status.
+      }
+    }
+    WHERE {
+      ${sparqlEscapeUri(collection)} a hrvst:HarvestingCollection;
+        dct:hasPart ?remoteDataObject.
+      GRAPH ?g {
+        ?remoteDataObject a nfo:RemoteDataObject;
+          adms:status ?status.
+      }
+      FILTER (?status != ${sparqlEscapeUri(FILE_DOWNLOAD_SKIPPED)})
+    }
+  `);
+}
+
+/**
+ * Starts a new scheduling run of a task, replacing the run of a previous execution of the task.
+ * Batches of a previous run that are still on the queue stop once they notice they're not the current run anymore.
+ *
+ * @param {String} task URI of the task
+ * @returns {String} Id of the new run
+ */
+export async function startSchedulingRun(task) {
+  const run = uuid();
+  await update(`
+    ${PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ?task hrvst:schedulingRun ?run.
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ?task hrvst:schedulingRun ${sparqlEscapeString(run)}.
+      }
+    }
+    WHERE {
+      GRAPH ?g {
+        BIND(${sparqlEscapeUri(task)} as ?task)
+        ?task adms:status ?status.
+        OPTIONAL { ?task hrvst:schedulingRun ?run. }
+      }
+    }
+  `);
+  return run;
+}
+
+/**
+ * Gets the id of the current scheduling run of a task
+ *
+ * @param {String} task URI of the task
+ * @returns {String} Id of the run, or null if the task has never been scheduled
+ */
+export async function getSchedulingRun(task) {
+  const result = parseResult(await query(`
+    ${PREFIXES}
+    SELECT ?run WHERE {
+      ${sparqlEscapeUri(task)} hrvst:schedulingRun ?run.
+    } LIMIT 1
+  `))[0];
+  return result ? result.run : null;
+}
+
+/**
+ * Gets the next batch of remote data objects of a collection that haven't been scheduled yet, ordered by mu:uuid.
+ * Pages by keyset, i.e. starting after the last uuid of the previous batch, rather than by offset.
+ * Remote data objects discovered in the meantime already have a status and are left alone.
+ *
+ * @param {String} collection URI of the harvesting collection
+ * @param {String} after mu:uuid of the last remote data object of the previous batch, null for the first batch
+ * @param {Number} batchSize
+ * @returns {Array} Objects with remoteDataObject and uuid
+ */
+export async function getRemoteDataObjectsBatch(collection, after, batchSize) {
+  const batchQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?remoteDataObject ?uuid WHERE {
+      ${sparqlEscapeUri(collection)} a hrvst:HarvestingCollection;
+        dct:hasPart ?remoteDataObject.
+      GRAPH ?g {
+        ?remoteDataObject a nfo:RemoteDataObject;
+          mu:uuid ?uuid.
+      }
+      FILTER NOT EXISTS { ?remoteDataObject adms:status ?status. }
+      ${after ? `FILTER (STR(?uuid) > ${sparqlEscapeString(after)})` : ''}
+    }
+    ORDER BY ?uuid
+    LIMIT ${batchSize}
+  `;
+  return parseResult(await query(batchQuery));
+}
+
+/**
+ * Queues remote data objects that don't have a status yet for download,
+ * the download scheduler releases them to the download service.
+ *
+ * @param {Array} remoteDataObjects URIs of the remote data objects
+ */
+export async function queueRemoteDataObjects(remoteDataObjects) {
+  await update(`
+    ${PREFIXES}
+    INSERT {
+      GRAPH ?g {
+        ?remoteDataObject adms:status ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)}.
+      }
+    }
+    WHERE {
+      VALUES ?remoteDataObject { ${remoteDataObjects.map(uri => sparqlEscapeUri(uri)).join(' ')} }
+      GRAPH ?g {
+        ?remoteDataObject a nfo:RemoteDataObject.
+      }
+      FILTER NOT EXISTS { ?remoteDataObject adms:status ?status. }
+    }
+  `);
+}
+
+/**
+ * Counts the remote data objects of a collection that have been scheduled, but haven't been downloaded yet.
+ *
+ * @param {String} collection URI of the harvesting collection
+ * @returns {Number}
+ */
+export async function countOutstandingRemoteDataObjects(collection) {
+  const countQuery = `
+    ${PREFIXES}
+    SELECT (COUNT(DISTINCT ?remoteDataObject) as ?count) WHERE {
+      ${sparqlEscapeUri(collection)} dct:hasPart ?remoteDataObject.
+      ?remoteDataObject adms:status ?status.
+      FILTER (?status IN (
+        ${sparqlEscapeUri(FILE_DOWNLOAD_QUEUED)},
+        ${sparqlEscapeUri(STATUS_READY_TO_BE_CACHED)},
+        ${sparqlEscapeUri(FILE_DOWNLOAD_ONGOING)}
+      ))
+    }
+  `;
+  const result = parseResult(await query(countQuery))[0];
+  return result ? parseInt(result.count) : 0;
+}
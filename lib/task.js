@@ -1,5 +1,5 @@
 import { sparqlEscapeUri,  sparqlEscapeString, sparqlEscapeDateTime, uuid } from 'mu';
-import { querySudo as query, updateSudo as update } from '@lblod/mu-auth-sudo';
+import { query, update } from './sparql';
 import {
   TASK_TYPE,
   PREFIXES,
@@ -104,7 +104,34 @@ export async function updateTaskStatus(task, status){
   `);
 }
 
-export async function appendTaskError(task, errorMsg){
+/**
+ * Records the time a task started being executed, replacing the start time of a previous execution
+ */
+export async function recordTaskStart(task){
+  await update(`
+    PREFIX adms: <http://www.w3.org/ns/adms#>
+    PREFIX prov: <http://www.w3.org/ns/prov#>
+    DELETE {
+      GRAPH ?g {
+        ?subject prov:startedAtTime ?startedAt.
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ?subject prov:startedAtTime ${sparqlEscapeDateTime(new Date())}.
+      }
+    }
+    WHERE {
+      GRAPH ?g {
+        BIND(${sparqlEscapeUri(task.task)} as ?subject)
+        ?subject adms:status ?status .
+        OPTIONAL { ?subject prov:startedAtTime ?startedAt. }
+      }
+    }
+  `);
+}
+
+export async function appendTaskError(task, errorMsg, subject = null){
   const id = uuid();
   const uri = ERROR_URI_PREFIX + id;
 
@@ -114,7 +141,9 @@ export async function appendTaskError(task, errorMsg){
       GRAPH ${sparqlEscapeUri(task.graph)}{
         ${sparqlEscapeUri(uri)} a ${sparqlEscapeUri(ERROR_TYPE)};
           mu:uuid ${sparqlEscapeString(id)};
-          oslc:message ${sparqlEscapeString(errorMsg)}.
+          oslc:message ${sparqlEscapeString(errorMsg)};
+          dct:created ${sparqlEscapeDateTime(new Date())}.
+        ${subject ? `${sparqlEscapeUri(uri)} dct:subject ${sparqlEscapeUri(subject)}.` : ''}
         ${sparqlEscapeUri(task.task)} task:error ${sparqlEscapeUri(uri)}.
       }
     }
@@ -0,0 +1,164 @@
+import { URL_CANONICALISATION_RULES, URL_CANONICALISATION_HOST_RULES } from '../config';
+import { matchesHost } from './utils';
+
+const SESSION_PARAMS = ['jsessionid', 'phpsessid', 'aspsessionid*', 'sessionid', 'cfid', 'cftoken'];
+const TRACKING_PARAMS = ['utm_*', 'fbclid', 'gclid', 'mc_cid', 'mc_eid'];
+const JSESSIONID_PATH_PARAM = /;jsessionid=[^/]*/ig;
+
+/**
+ * Canonicalisation rules by name. A rule may take an argument, e.g. `strip-param:lang`.
+ * `canonicalise` modifies the given URL object in place.
+ * Rules that remove a part of the URL also have a `strip` function, which removes that part
+ * from the parts of the URL as found, see `splitUrl`, without re-encoding the rest.
+ * Note that lowercasing the host and removing an explicit default port
+ * already happens when parsing the URL.
+ */
+const RULES = {
+  'strip-fragment': () => ({
+    canonicalise: (url) => {
+      url.hash = '';
+    },
+    strip: (parts) => {
+      parts.fragment = null;
+    }
+  }),
+  'strip-session-ids': () => ({
+    canonicalise: (url) => {
+      // Java backends add the session id to the path, e.g. /page;jsessionid=1A2B3C
+      url.pathname = url.pathname.replace(JSESSIONID_PATH_PARAM, '');
+      removeParams(url, SESSION_PARAMS);
+    },
+    strip: (parts) => {
+      parts.path = parts.path.replace(JSESSIONID_PATH_PARAM, '');
+      stripParams(parts, SESSION_PARAMS);
+    }
+  }),
+  'strip-tracking-params': () => ({
+    canonicalise: (url) => {
+      removeParams(url, TRACKING_PARAMS);
+    },
+    strip: (parts) => {
+      stripParams(parts, TRACKING_PARAMS);
+    }
+  }),
+  'strip-param': (name) => ({
+    canonicalise: (url) => {
+      removeParams(url, [name]);
+    },
+    strip: (parts) => {
+      stripParams(parts, [name]);
+    }
+  }),
+  'sort-query-params': () => ({
+    canonicalise: (url) => {
+      url.searchParams.sort();
+    }
+  }),
+  'strip-trailing-slash': () => ({
+    canonicalise: (url) => {
+      if (url.pathname.length > 1 && url.pathname.endsWith('/'))
+        url.pathname = url.pathname.replace(/\/+$/, '');
+    }
+  })
+};
+
+const DEFAULT_RULES = URL_CANONICALISATION_RULES.map(compileRule);
+const HOST_RULES = Object.entries(URL_CANONICALISATION_HOST_RULES).map(([pattern, rules]) => {
+  return { pattern, rules: rules.map(compileRule) };
+});
+
+/**
+ * Canonicalises a URL so equivalent URLs are only downloaded once per collection.
+ * The service-wide rules are applied in order, followed by the rules of the hosts the URL matches.
+ *
+ * @param {String} url
+ * @returns {String} The canonical URL
+ */
+export function canonicaliseUrl(url) {
+  const uri = new URL(url);
+
+  for (let rule of getRules(uri))
+    rule.canonicalise(uri);
+
+  // The query is only re-serialised when the search params are modified, which would otherwise make
+  // the encoding of the query depend on the rules that applied, e.g. `%20` vs `+`
+  uri.search = uri.searchParams.toString();
+
+  return uri.toString();
+}
+
+/**
+ * Removes the parts of a URL that the canonicalisation rules strip, e.g. the fragment and tracking parameters.
+ * Unlike `canonicaliseUrl`, the rest of the URL is kept as found, such that it can be downloaded as is.
+ *
+ * @param {String} url
+ * @returns {String} The URL without the stripped parts
+ */
+export function stripUrl(url) {
+  const parts = splitUrl(url);
+
+  for (let rule of getRules(new URL(url)))
+    if (rule.strip) rule.strip(parts);
+
+  return joinUrl(parts);
+}
+
+function getRules(uri) {
+  const hostRules = HOST_RULES
+    .filter(hostRule => matchesHost(uri.hostname, hostRule.pattern))
+    .flatMap(hostRule => hostRule.rules);
+  return [...DEFAULT_RULES, ...hostRules];
+}
+
+/**
+ * Splits a URL in the part before the query, the raw query parameters and the fragment
+ */
+function splitUrl(url) {
+  const [withoutFragment, ...fragment] = url.split('#');
+  const [path, ...query] = withoutFragment.split('?');
+  return {
+    path,
+    params: query.length ? query.join('?').split('&') : null,
+    fragment: fragment.length ? fragment.join('#') : null
+  };
+}
+
+function joinUrl({ path, params, fragment }) {
+  return path
+    + (params && params.length ? `?${params.join('&')}` : '')
+    + (fragment !== null ? `#${fragment}` : '');
+}
+
+function compileRule(rule) {
+  const [name, ...args] = rule.split(':');
+  if (!RULES[name])
+    throw new Error(`Unknown URL canonicalisation rule ${rule}`);
+  return RULES[name](args.join(':'));
+}
+
+function isRemovedParam(param, names) {
+  return names.some(name => {
+    name = name.toLowerCase();
+    return name.endsWith('*') ? param.toLowerCase().startsWith(name.slice(0, -1)) : param.toLowerCase() === name;
+  });
+}
+
+function removeParams(url, names) {
+  [...url.searchParams.keys()]
+    .filter(param => isRemovedParam(param, names))
+    .forEach(param => url.searchParams.delete(param));
+}
+
+function stripParams(parts, names) {
+  if (!parts.params) return;
+  parts.params = parts.params.filter(param => !isRemovedParam(decodeParamName(param), names));
+}
+
+function decodeParamName(param) {
+  const name = param.split('=')[0].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
@@ -0,0 +1,81 @@
+import { query } from './sparql';
+import { sparqlEscapeUri } from 'mu';
+import {
+  PREFIXES,
+  OPTION_ALLOWED_HOST,
+  OPTION_ALLOWED_PATH_PREFIX,
+  OPTION_INCLUDE_PATTERN,
+  OPTION_EXCLUDE_PATTERN
+} from '../constants';
+import { getCollectionOption } from './collection-options';
+import { parseResult, matchesHost } from './utils';
+
+/**
+ * Gets the scope rules of a harvesting collection.
+ * If no allowed hosts are configured, the scope is restricted to the hosts of the seed URLs.
+ *
+ * @param {String} collectionUri
+ * @returns {Object} Object with hosts, pathPrefixes, includePatterns and excludePatterns
+ */
+export async function getCollectionScope(collectionUri) {
+  let hosts = await getCollectionOption(collectionUri, OPTION_ALLOWED_HOST);
+  if (!hosts.length)
+    hosts = await getSeedHosts(collectionUri);
+
+  return {
+    hosts: hosts.map(host => host.toLowerCase()),
+    pathPrefixes: await getCollectionOption(collectionUri, OPTION_ALLOWED_PATH_PREFIX),
+    includePatterns: (await getCollectionOption(collectionUri, OPTION_INCLUDE_PATTERN)).map(pattern => new RegExp(pattern)),
+    excludePatterns: (await getCollectionOption(collectionUri, OPTION_EXCLUDE_PATTERN)).map(pattern => new RegExp(pattern))
+  };
+}
+
+/**
+ * Checks whether a URL is within the scope of a harvesting collection.
+ * A host starting with `*.` matches all its subdomains.
+ *
+ * @param {String} url
+ * @param {Object} scope Scope as returned by `getCollectionScope`
+ * @returns {Boolean}
+ */
+export function isInScope(url, scope) {
+  const { hostname, pathname } = new URL(url);
+
+  if (!scope.hosts.some(host => matchesHost(hostname, host)))
+    return false;
+
+  if (scope.pathPrefixes.length && !scope.pathPrefixes.some(prefix => pathname.startsWith(prefix)))
+    return false;
+
+  if (scope.includePatterns.length && !scope.includePatterns.some(pattern => pattern.test(url)))
+    return false;
+
+  return !scope.excludePatterns.some(pattern => pattern.test(url));
+}
+
+/**
+ * Gets the hosts of the seed URLs of a collection.
+ */
+async function getSeedHosts(collectionUri) {
+  const seedQuery = `
+    ${PREFIXES}
+    SELECT DISTINCT ?url WHERE {
+      ${sparqlEscapeUri(collectionUri)} dct:hasPart ?remoteDataObject.
+      ?remoteDataObject a hrvst:Seed;
+        nie:url ?url.
+    }
+  `;
+
+  const urls = parseResult(await query(seedQuery)).map(row => row.url);
+  return [...new Set(urls.map(getHostname).filter(hostname => hostname))];
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    // A malformed seed URL can't be downloaded anyway, it doesn't widen the scope
+    console.log(`Ignoring invalid seed URL ${url} for the scope of the collection`);
+    return null;
+  }
+}
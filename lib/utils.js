@@ -22,3 +22,16 @@ export function parseResult( result ) {
     return obj;
   });
 };
+
+/**
+ * Checks whether a hostname matches a host pattern.
+ * A pattern starting with `*.` matches the host and all its subdomains.
+ * @method matchesHost
+ * @return {Boolean}
+ */
+export function matchesHost( hostname, pattern ) {
+  pattern = pattern.toLowerCase();
+  if(pattern.startsWith('*.'))
+    return hostname.endsWith(pattern.slice(1)) || hostname === pattern.slice(2);
+  return hostname === pattern;
+};